@@ -17,6 +17,7 @@ cp -r images zips/images/
 cp -r data zips/data/
 cp -r music zips/music/
 cp index.html zips/index.html
+cp presenter.html zips/presenter.html
 
 echo "✅ Files packaged for deployment"
 
@@ -54,8 +55,27 @@ cat > zips/motiongrammar-le-ssl.conf << 'EOL'
         AllowOverride All
         Require all granted
         DirectoryIndex index.html
+
+        # Caption/chapter tracks for video slides
+        AddType text/vtt .vtt
+
+        # Client-side routes (/work/koko-ai, /vibes/forest) get the app;
+        # missing files with an extension still 404
+        RewriteEngine On
+        RewriteCond %{REQUEST_FILENAME} !-f
+        RewriteCond %{REQUEST_FILENAME} !-d
+        RewriteCond %{REQUEST_URI} !\.[^/]+$
+        RewriteRule ^ /index.html [L]
     </Directory>
 
+    # Security headers
+    Header always set X-Frame-Options DENY
+    Header always set X-Content-Type-Options nosniff
+    Header always set X-XSS-Protection "1; mode=block"
+    Header always set Referrer-Policy "strict-origin-when-cross-origin"
+    # Keep in sync with CONTENT_SECURITY_POLICY in server.js
+    Header always set Content-Security-Policy "default-src 'self'; script-src 'self' 'unsafe-inline' https://www.googletagmanager.com https://cdnjs.cloudflare.com https://cdn.jsdelivr.net https://unpkg.com; style-src 'self' 'unsafe-inline' https://unpkg.com; font-src 'self' data: https://unpkg.com; img-src 'self' data: blob: https://www.googletagmanager.com https://*.google-analytics.com; media-src 'self' blob:; connect-src 'self' https://cdn.jsdelivr.net https://www.googletagmanager.com https://*.google-analytics.com https://*.analytics.google.com; frame-ancestors 'none'; base-uri 'self'; object-src 'none'"
+
     SSLEngine on
     SSLCertificateFile /etc/letsencrypt/live/motiongrammar.com/fullchain.pem
     SSLCertificateKeyFile /etc/letsencrypt/live/motiongrammar.com/privkey.pem
@@ -86,6 +106,7 @@ ssh jonruppel@208.109.241.221 '
     sudo rm -rf /var/www/html/motiongrammar/data/*
     sudo rm -rf /var/www/html/motiongrammar/music/*
     sudo rm -f /var/www/html/motiongrammar/index.html
+    sudo rm -f /var/www/html/motiongrammar/presenter.html
     sudo rm -f /var/www/html/motiongrammar/README.md
 
     # Extract and move files
@@ -97,6 +118,7 @@ ssh jonruppel@208.109.241.221 '
     sudo mv zips/data/* data/ || true
     sudo mv zips/music/* music/ || true
     sudo mv zips/index.html .
+    sudo mv zips/presenter.html .
     sudo mv zips/README.md . 2>/dev/null || true
 
     # Set permissions
@@ -127,6 +149,9 @@ ssh jonruppel@208.109.241.221 '
     AllowOverride All
     Require all granted
 
+    # Caption/chapter tracks for video slides
+    AddType text/vtt .vtt
+
     # Enable URL rewriting for SPA routing
     <IfModule mod_rewrite.c>
         RewriteEngine On
@@ -134,8 +159,10 @@ ssh jonruppel@208.109.241.221 '
         # If the request is not for a file or directory
         RewriteCond %{REQUEST_FILENAME} !-f
         RewriteCond %{REQUEST_FILENAME} !-d
-        # Rewrite to index.html (static SPA)
-        RewriteRule ^ index.html [L]
+        # ...and is not a missing asset (those should 404)
+        RewriteCond %{REQUEST_URI} !\.[^/]+$
+        # Rewrite client-side routes to index.html (static SPA)
+        RewriteRule ^ /index.html [L]
     </IfModule>
 
     # Security headers
@@ -143,6 +170,8 @@ ssh jonruppel@208.109.241.221 '
     Header always set X-Content-Type-Options nosniff
     Header always set X-XSS-Protection "1; mode=block"
     Header always set Referrer-Policy "strict-origin-when-cross-origin"
+    # Keep in sync with CONTENT_SECURITY_POLICY in server.js
+    Header always set Content-Security-Policy "default-src '\''self'\''; script-src '\''self'\'' '\''unsafe-inline'\'' https://www.googletagmanager.com https://cdnjs.cloudflare.com https://cdn.jsdelivr.net https://unpkg.com; style-src '\''self'\'' '\''unsafe-inline'\'' https://unpkg.com; font-src '\''self'\'' data: https://unpkg.com; img-src '\''self'\'' data: blob: https://www.googletagmanager.com https://*.google-analytics.com; media-src '\''self'\'' blob:; connect-src '\''self'\'' https://cdn.jsdelivr.net https://www.googletagmanager.com https://*.google-analytics.com https://*.analytics.google.com; frame-ancestors '\''none'\''; base-uri '\''self'\''; object-src '\''none'\''"
 </Directory>
 
 # Cache static assets for 1 year
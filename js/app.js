@@ -2,12 +2,19 @@
 
 import { Navigation } from './core/navigation.js';
 import { ContentManager } from './core/content-manager.js';
-import { navigationData } from './core/navigation.js';
+import { getNavigationData } from './core/navigation.js';
+import { router, getContentPath, getContentId } from './core/router.js';
+import { contentRegistry } from './utils/content-registry.js';
 import { Tutorial } from './components/index.js';
-import { uiLayerManager } from './utils/fullscreen-manager.js';
+import { uiLayerManager, getScreensaverDelay } from './utils/fullscreen-manager.js';
 import { MusicPlayer } from './components/organisms/MusicPlayer.js';
 import { lazyImageLoader } from './utils/lazy-image-loader.js';
 import { globalPreloader } from './utils/global-preloader.js';
+import { PresenterChannel, isPresenterSupported } from './utils/presenter-channel.js';
+import { KioskMode, isKioskRequested } from './utils/kiosk-mode.js';
+
+// How many recently shown visualizations the screensaver skips over
+const RECENT_VISUALIZATIONS_LIMIT = 5;
 
 class App {
     constructor() {
@@ -17,7 +24,10 @@ class App {
         this.isFirstLoad = true;
         this.isTransitioning = false;
         this.modules = [];
+        this.navigationData = [];
         this.currentModuleIndex = 0;
+        this.kioskMode = null;
+        this.recentVisualizations = [];
     }
 
     // Helper to find module path by experience ID
@@ -47,6 +57,13 @@ class App {
         // Initialize tint layer immediately
         this.createTintLayer();
 
+        // Load the content manifest before anything reads navigation data
+        await contentRegistry.load();
+        this.navigationData = getNavigationData();
+
+        // Resolve the opening URL (old ?experience= links become paths)
+        router.start();
+
         // Initialize navigation
         const navContainer = document.querySelector('.nav-content');
         this.navigation = new Navigation(navContainer);
@@ -59,8 +76,7 @@ class App {
 
         // Fallback: Direct DOM manipulation to ensure active state is set
         setTimeout(() => {
-            const params = new URLSearchParams(window.location.search);
-            const experienceId = params.get('experience');
+            const experienceId = getContentId(router.current);
             
             if (experienceId) {
                 // Find all nav links and reset active state
@@ -101,9 +117,11 @@ class App {
         // Setup logo click to return home
         this.setupLogoClick();
 
+        // Connect to the dev server's live reload (npm run dev only)
+        this.setupLiveReload();
+
         // Check if we're loading an experience (not homepage) on first load
-        const params = new URLSearchParams(window.location.search);
-        const experienceId = params.get('experience');
+        const experienceId = getContentId(router.current);
         
         // If loading an experience on first load, make app visible immediately
         // so the reveal transition will be visible
@@ -116,6 +134,7 @@ class App {
 
         // Build module list for scroll navigation FIRST
         this.buildModuleList();
+        this.setupRouterHooks();
 
         // Handle URL navigation (load initial content) - active state already set above
         await this.handleUrlNavigation();
@@ -139,6 +158,15 @@ class App {
         this.setupSwipeNavigation();
         this.setupKeyboardNavigation();
 
+        // Keep a presenter window (if one is open) in step
+        this.setupPresenterSync();
+
+        // Attract mode for events and office screens (?kiosk=1)
+        this.setupKioskMode();
+
+        // Idle screensaver (?screensaver=<minutes>)
+        this.setupScreensaver();
+
         // Mark first load as complete
         this.isFirstLoad = false;
 
@@ -159,10 +187,7 @@ class App {
         if (targetIndex === -1) return;
 
         // Update URL
-        const url = new URL(window.location);
-        url.searchParams.set('experience', itemId);
-        url.searchParams.delete('slide'); // Clear slide param on new navigation
-        window.history.pushState({}, '', url);
+        if (!(await router.navigate(getContentPath(itemId)))) return;
 
         // Update active nav
         this.navigation.setActive(itemId);
@@ -212,22 +237,21 @@ class App {
         await this.navigateToModuleByIndex(targetIndex);
     }
 
-    async loadRandomVisualization() {
+    /**
+     * Load a random visualization, never the current one and none of the
+     * ids in exclude (unless that leaves nothing to pick)
+     */
+    async loadRandomVisualization({ exclude = [] } = {}) {
         const visualizations = this.modules.filter(m => !m.type || m.type === 'visualization');
         if (visualizations.length > 0) {
-            let randomViz;
-            // If we have a current module and multiple options, try to pick a different one
-            if (this.modules[this.currentModuleIndex] && visualizations.length > 1) {
-                let attempts = 0;
-                do {
-                    randomViz = visualizations[Math.floor(Math.random() * visualizations.length)];
-                    attempts++;
-                } while (randomViz.id === this.modules[this.currentModuleIndex].id && attempts < 5);
-            } else {
-                randomViz = visualizations[Math.floor(Math.random() * visualizations.length)];
-            }
+            const currentId = this.modules[this.currentModuleIndex]?.id;
+            const others = visualizations.filter(m => m.id !== currentId);
+            const fresh = others.filter(m => !exclude.includes(m.id));
+            const candidates = fresh.length > 0 ? fresh : (others.length > 0 ? others : visualizations);
+            const randomViz = candidates[Math.floor(Math.random() * candidates.length)];
 
             this.currentModuleIndex = this.modules.findIndex(m => m.id === randomViz.id);
+            this.rememberVisualization(randomViz.id);
             
             // Highlight in navigation
             if (this.navigation) {
@@ -244,14 +268,25 @@ class App {
         }
     }
 
+    /**
+     * Recently shown visualizations, newest first, so the screensaver
+     * doesn't keep coming back to the same few
+     */
+    rememberVisualization(id) {
+        this.recentVisualizations = [id, ...this.recentVisualizations.filter(recent => recent !== id)]
+            .slice(0, RECENT_VISUALIZATIONS_LIMIT);
+    }
+
     async handleUrlNavigation() {
-        const params = new URLSearchParams(window.location.search);
-        const experienceId = params.get('experience');
-        const slideIndex = parseInt(params.get('slide'), 10) || 0;
+        const route = router.current;
+        const experienceId = getContentId(route);
+        const slide = route?.params.slide ?? 0;
 
         if (experienceId) {
             // Find the module path using navigationData
-            const modulePath = this.findModuleById(navigationData, experienceId);
+            // (unlisted content isn't in the navigation but can still be linked to)
+            const modulePath = this.findModuleById(this.navigationData, experienceId)
+                || contentRegistry.get(experienceId)?.dataPath;
             if (modulePath) {
                 // Active nav already set via setActiveFromUrl on initial load
                 // For popstate, set it again
@@ -259,7 +294,7 @@ class App {
                     this.navigation.setActive(experienceId);
                 }
                 // Load the content (handles all types)
-                await this.contentManager.loadContent(experienceId, modulePath, null, slideIndex);
+                await this.contentManager.loadContent(experienceId, modulePath, null, slide);
                 
                 // Refresh lazy image loader for initial content
                 lazyImageLoader.refresh();
@@ -278,6 +313,11 @@ class App {
             }
         }
 
+        // Unknown path - back to the home URL
+        if (experienceId) {
+            await router.navigate('/', { replace: true });
+        }
+
         // No URL parameter - load random visualization on first load (without setting URL)
         if (this.isFirstLoad && this.modules.length > 0) {
             await this.loadRandomVisualization();
@@ -302,16 +342,19 @@ class App {
         document.addEventListener('play', (e) => {
             if (e.target.tagName !== 'VIDEO') return;
             
-            // 1. Stop all other videos
+            // 1. Stop all other videos. A [data-media-group] (before/after
+            // pair, side-by-side comparison) counts as one media source.
+            const mediaGroup = e.target.closest('[data-media-group]');
             const allVideos = document.querySelectorAll('video');
             allVideos.forEach(video => {
-                if (video !== e.target && !video.paused) {
+                if (video !== e.target && !video.paused && !(mediaGroup && mediaGroup.contains(video))) {
                     video.pause();
                 }
             });
             
-            // 2. Duck music if playing
-            if (this.musicPlayer) {
+            // 2. Duck music if playing - silent loops (before/after pairs,
+            // split slides) play under it
+            if (this.musicPlayer && !e.target.muted) {
                 this.musicPlayer.duck();
             }
         }, true); // Capture phase
@@ -327,7 +370,7 @@ class App {
                 let isAnyPlaying = false;
                 
                 allVideos.forEach(video => {
-                    if (!video.paused && !video.ended && video.readyState > 2) {
+                    if (!video.paused && !video.ended && !video.muted && video.readyState > 2) {
                         isAnyPlaying = true;
                     }
                 });
@@ -341,6 +384,29 @@ class App {
         
         document.addEventListener('pause', checkResumeMusic, true);
         document.addEventListener('ended', checkResumeMusic, true);
+
+        // Unmuting a playing video ducks the music; muting it may bring it back
+        document.addEventListener('volumechange', (e) => {
+            if (e.target.tagName !== 'VIDEO' || e.target.paused) return;
+
+            if (!e.target.muted && this.musicPlayer) {
+                this.musicPlayer.duck();
+            } else {
+                checkResumeMusic(e);
+            }
+        }, true);
+    }
+
+    setupLiveReload() {
+        // Flag is injected into index.html by `node server.js --dev`
+        if (!window.__LIVE_RELOAD__) return;
+
+        import('./utils/live-reload.js').then(({ LiveReload }) => {
+            this.liveReload = new LiveReload(this, window.__LIVE_RELOAD__);
+            this.liveReload.connect();
+        }).catch(error => {
+            console.error('Failed to start live reload:', error);
+        });
     }
 
     setupThemeToggle() {
@@ -420,7 +486,7 @@ class App {
                 }
 
                 // Clear URL
-                window.history.pushState({}, '', window.location.pathname);
+                await router.navigate('/');
                 
                 // 1. Transition out current content (Standard Page Transition - slide DOWN)
                 // 'up' direction means move current content DOWN (y: 100%) to reveal from top
@@ -816,8 +882,7 @@ class App {
         const hasVisualization = !!document.querySelector('.visualization-container');
 
         // Check if we have a deep link
-        const params = new URLSearchParams(window.location.search);
-        const hasDeepLink = !!params.get('experience');
+        const hasDeepLink = !!getContentId(router.current);
 
         // Fade in app container
         gsap.to(appContainer, {
@@ -1068,7 +1133,7 @@ class App {
 
     buildModuleList() {
         // Add all content types to module list for scroll navigation
-        navigationData.forEach(group => {
+        this.navigationData.forEach(group => {
             if (group.children && group.children.length > 0) {
                 // Groups with children (Visualizations, Interaction Studies, Case Studies)
                 group.children.forEach(item => {
@@ -1100,8 +1165,7 @@ class App {
 
 
         // Set current index based on URL or pick random visualization for first load
-        const params = new URLSearchParams(window.location.search);
-        const experienceId = params.get('experience');
+        const experienceId = getContentId(router.current);
         
         if (experienceId) {
             const index = this.modules.findIndex(m => m.id === experienceId);
@@ -1123,12 +1187,28 @@ class App {
         const scrollCooldown = 1000; // 1 second cooldown between scrolls
 
         window.addEventListener('wheel', (e) => {
-            // Allow native scrolling inside device mockups (phone, laptop, TV)
-            const mockupScrollable = e.target.closest('.iphone-content, .laptop-content, .tv-content');
+            // Lightbox handles its own wheel (zoom)
+            if (window.isLightboxOpen) {
+                return;
+            }
+
+            // Allow native scrolling inside device mockups (phone, laptop, TV, ...)
+            const mockupScrollable = e.target.closest('.device-content');
             if (mockupScrollable) {
                 return; // let the inner scroller handle this wheel event
             }
 
+            // Wheel zooms 3D models
+            if (e.target.closest('.slide-model-frame')) {
+                return;
+            }
+
+            // Galleries taller than the screen scroll
+            const gallery = e.target.closest('.slide-gallery-scroll');
+            if (gallery && gallery.scrollHeight > gallery.clientHeight) {
+                return;
+            }
+
             // Prevent pagination when scrolling over the sidebar/navigation
             const sidebarScrollable = e.target.closest('.sidebar, .nav-content');
             if (sidebarScrollable) {
@@ -1175,6 +1255,13 @@ class App {
                 isValidSwipeStart = false;
                 return;
             }
+
+            // Ignore inside the lightbox and scrollable galleries
+            const gallery = e.target.closest('.slide-gallery-scroll');
+            if (window.isLightboxOpen || (gallery && gallery.scrollHeight > gallery.clientHeight)) {
+                isValidSwipeStart = false;
+                return;
+            }
             
             isValidSwipeStart = true;
             touchStartX = e.changedTouches[0].screenX;
@@ -1184,7 +1271,7 @@ class App {
         document.addEventListener('touchend', (e) => {
             if (!isValidSwipeStart) return;
             // Skip swipe navigation if any visualization is actively using touch/drag
-            if (window.isVisualizationDragging) {
+            if (window.isVisualizationDragging || window.isLightboxOpen) {
                 return;
             }
             
@@ -1224,6 +1311,9 @@ class App {
             // Ignore input elements
             if (['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(document.activeElement.tagName)) return;
 
+            // Lightbox pages with the arrow keys itself
+            if (window.isLightboxOpen) return;
+
             if (this.isTransitioning) return;
 
             if (e.key === 'ArrowDown') {
@@ -1232,14 +1322,132 @@ class App {
             } else if (e.key === 'ArrowUp') {
                 e.preventDefault();
                 this.navigateToPrevious();
+            } else if ((e.key === 'p' || e.key === 'P') && !e.metaKey && !e.ctrlKey && !e.altKey) {
+                e.preventDefault();
+                this.openPresenter();
             }
         });
     }
 
-    async navigateToNext() {
+    /**
+     * Presenter window: speaker notes, timer and previews on a second
+     * screen. Its navigation commands drive this window and every module
+     * or slide change here is broadcast back.
+     */
+    setupPresenterSync() {
+        if (!isPresenterSupported()) return;
+
+        this.presenterChannel = new PresenterChannel();
+        this.contentManager.onChange = () => this.broadcastPresenterState();
+
+        this.presenterChannel.on('request-state', () => this.broadcastPresenterState());
+        this.presenterChannel.on('command', ({ action, index } = {}) => {
+            if (action === 'navigateToModule' && this.modules[index]) {
+                this.navigateToModuleByIndex(index);
+            } else if (action === 'goToSlide') {
+                const slider = this.contentManager.currentModule;
+                if (slider && typeof slider.goToSlide === 'function') {
+                    slider.goToSlide(index);
+                }
+            }
+        });
+
+        // Let the presenter know the audience window went away
+        window.addEventListener('pagehide', () => this.presenterChannel.send('state', null));
+
+        this.broadcastPresenterState();
+    }
+
+    broadcastPresenterState() {
+        if (!this.presenterChannel) return;
+
+        const current = this.contentManager.currentModule;
+        const currentId = this.contentManager.currentItemId;
+
+        this.presenterChannel.send('state', {
+            modules: this.modules.map(({ id, title, type }) => ({ id, title, type })),
+            moduleIndex: this.modules.findIndex(m => m.id === currentId),
+            deck: current && typeof current.getPresenterSummary === 'function'
+                ? current.getPresenterSummary()
+                : null
+        });
+    }
+
+    setupKioskMode() {
+        if (!isKioskRequested()) return;
+
+        this.kioskMode = new KioskMode(this);
+        this.kioskMode.start();
+    }
+
+    setupScreensaver() {
+        const delay = getScreensaverDelay();
+        // Kiosk mode does its own cycling
+        if (!delay || this.kioskMode) return;
+
+        uiLayerManager.enableScreensaver(delay, () => this.advanceScreensaver());
+    }
+
+    /**
+     * Idle on a visualization: crossfade to another one that hasn't been
+     * shown recently. Decks and pages are left alone.
+     */
+    async advanceScreensaver() {
+        const current = this.modules[this.currentModuleIndex];
+        const isVisualization = current && (!current.type || current.type === 'visualization');
+        if (!isVisualization || this.isTransitioning || window.isLightboxOpen) return;
+
+        this.isTransitioning = true;
+        this.rememberVisualization(current.id);
+
+        const layers = [document.querySelector('.main-content'), document.querySelector('.hero-container')];
+        try {
+            await gsap.to(layers, { opacity: 0, duration: 1.5, ease: 'power1.inOut' });
+
+            await this.loadRandomVisualization({ exclude: this.recentVisualizations });
+
+            // Keep the address bar on what's showing
+            if (getContentId(router.current)) {
+                await router.navigate(getContentPath(this.modules[this.currentModuleIndex].id), { replace: true });
+            }
+
+            await gsap.to(layers, { opacity: 1, duration: 1.5, ease: 'power1.inOut' });
+        } finally {
+            // Even after a failed load: never leave the screen faded out or
+            // navigation blocked
+            gsap.set(layers, { opacity: 1 });
+            this.isTransitioning = false;
+        }
+    }
+
+    openPresenter() {
+        if (!isPresenterSupported()) return;
+        window.open('/presenter.html', 'motion-grammar-presenter', 'popup,width=1280,height=800');
+    }
+
+    /**
+     * Router hooks: the document title follows the route, so history
+     * entries and shared tabs say what they are
+     */
+    setupRouterHooks() {
+        this.siteTitle = document.title;
+        router.afterEach(to => this.updateDocumentTitle(to));
+        this.updateDocumentTitle(router.current);
+    }
+
+    updateDocumentTitle(route) {
+        const module = this.modules.find(m => m.id === getContentId(route));
+        document.title = module ? `${module.title} - Motion Grammar` : this.siteTitle;
+    }
+
+    /**
+     * replace: update the current history entry instead of adding one
+     * (kiosk mode advances on its own all day)
+     */
+    async navigateToNext({ replace = false } = {}) {
         // Loop to beginning if at the end
         const nextIndex = (this.currentModuleIndex + 1) % this.modules.length;
-        await this.navigateToModuleByIndex(nextIndex, 'down');
+        await this.navigateToModuleByIndex(nextIndex, 'down', { replace });
     }
 
     async navigateToPrevious() {
@@ -1250,17 +1458,24 @@ class App {
         await this.navigateToModuleByIndex(prevIndex, 'up');
     }
 
-    async navigateToModuleByIndex(targetIndex, forcedDirection = null) {
+    async navigateToModuleByIndex(targetIndex, forcedDirection = null, { replace = false } = {}) {
         if (this.isTransitioning || targetIndex === this.currentModuleIndex) return;
 
         this.isTransitioning = true;
         const targetModule = this.modules[targetIndex];
+
+        // A router hook may turn the navigation down
+        if (!(await router.navigate(getContentPath(targetModule.id), { replace }))) {
+            this.isTransitioning = false;
+            return;
+        }
         
         // Use forced direction if provided (for scroll/swipe), otherwise calculate from indices
         const direction = forcedDirection || (targetIndex > this.currentModuleIndex ? 'down' : 'up');
 
         // Muffle music if navigating to a case study (anything not a visualization)
-        if (this.musicPlayer) {
+        // Kiosk mode keeps it playing as is
+        if (this.musicPlayer && !this.kioskMode) {
             const isVisualization = (!targetModule.type || targetModule.type === 'visualization');
             this.musicPlayer.setMuffled(!isVisualization);
         }
@@ -1269,10 +1484,6 @@ class App {
         await this.slideOutContent(direction);
 
         // Step 2: Load new content while off-screen
-        const url = new URL(window.location);
-        url.searchParams.set('experience', targetModule.id);
-        url.searchParams.delete('slide'); // Clear slide param on new navigation
-        window.history.pushState({}, '', url);
         this.navigation.setActive(targetModule.id);
         
         // Update nav link active state
@@ -1300,6 +1511,9 @@ class App {
         await this.slideInContent(direction);
 
         this.currentModuleIndex = targetIndex;
+        if (!targetModule.type || targetModule.type === 'visualization') {
+            this.rememberVisualization(targetModule.id);
+        }
         this.isTransitioning = false;
     }
 
@@ -1445,9 +1659,9 @@ const app = new App();
 app.init();
 
 // Handle browser back/forward
-window.addEventListener('popstate', () => {
+router.listen(async () => {
     if (app.isReady) {
-        app.handleUrlNavigation();
+        await app.handleUrlNavigation();
     }
 });
 
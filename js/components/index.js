@@ -28,4 +28,6 @@ export { Sidebar } from './organisms/Sidebar.js';
 export { Hero } from './organisms/Hero.js';
 export { HorizontalSlider } from './organisms/HorizontalSlider.js';
 export { Tutorial } from './organisms/Tutorial.js';
+export { Lightbox } from './organisms/Lightbox.js';
+export { PresenterView } from './organisms/PresenterView.js';
 
@@ -5,26 +5,65 @@
  */
 
 import { Component } from '../Component.js';
-import { createIPhoneMockup, createLaptopMockup, createTVMockup } from '../../utils/mockup-helper.js';
+import { Lightbox } from './Lightbox.js';
+import { createMockup, createMockupScreen, updateMockupChrome } from '../../utils/mockup-helper.js';
+import { mockupRegistry } from '../../utils/mockup-registry.js';
+import { ScreenAutoScroll } from '../../utils/screen-autoscroll.js';
 import { ColorExtractor } from '../../utils/ColorExtractor.js';
 import { lazyImageLoader } from '../../utils/lazy-image-loader.js';
 import { globalPreloader } from '../../utils/global-preloader.js';
+import { captionPreferences } from '../../utils/caption-preferences.js';
+import { visualizationRegistry } from '../../utils/visualization-registry.js';
+import { escapeHtml, escapeUrl, renderInlineText, renderRichText, slugify, stripInlineText } from '../../utils/rich-text.js';
+import { renderVideoTracks, renderVideoTrackControls, renderChapterItems } from '../../utils/video-tracks.js';
+import { SyncedVideoGroup } from '../../utils/synced-video-group.js';
+
+/**
+ * Short hash of a slide's content (FNV-1a) for slides without an id.
+ * Speaker notes are left out so editing them doesn't change the URL.
+ */
+function hashSlide(slide) {
+    const { notes, ...content } = slide;
+    const text = JSON.stringify(content);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
 
 export class HorizontalSlider extends Component {
     constructor(props) {
         super(props);
         
-        this.rawSlides = props.slides || [];
+        // Deck-level metadata (client, role, year, tags, overview, metrics)
+        this.deck = props.deck || null;
+        this.rawSlides = this.addMetadataSlides(props.slides || [], this.deck);
+        // Flat index of each slide the deck itself lists. Old slide numbers
+        // count these only - the generated slides came later.
+        this.authoredIndexes = (props.slides || []).map(slide => this.rawSlides.indexOf(slide));
+        // Caption visibility (global preference, deck default, per-deck override)
+        this.deckId = this.deck?.id || null;
+        this.hasCaptions = this.rawSlides.some(slide => this.hasCaption(slide));
+        this.captionsVisible = captionPreferences.isVisible(this.deckId, this.deck?.captions);
+
         // Group consecutive slides of same mockup type
         this.groupedSlides = this.groupSlides(this.rawSlides);
         
         // Map flat index (0..total-1) to { groupIndex, internalIndex }
         this.slideMap = this.createSlideMap(this.rawSlides, this.groupedSlides);
         
-        this.currentFlatIndex = props.initialIndex || 0;
-        
         // Create sections for category navigation
         this.sections = this.createSections(this.rawSlides);
+
+        // Names for slides in URLs (/work/koko-ai/overview)
+        this.slideAnchors = this.createSlideAnchors(this.rawSlides);
+
+        // Start at a flat index, or at an anchor from the URL
+        this.currentFlatIndex = this.findSlide(props.initialSlide ?? 0);
+        
         this.currentSectionIndex = this.sections.findIndex(s => 
             this.currentFlatIndex >= s.startIndex && this.currentFlatIndex <= s.endIndex
         );
@@ -42,6 +81,15 @@ export class HorizontalSlider extends Component {
         // Cache for extracted colors
         this.colorCache = new Map();
 
+        // Live visualization embeds, keyed by group index
+        this.visualizations = new Map();
+
+        // Auto-scrolling long screenshots, keyed by flat slide index
+        this.autoScrollers = new Map();
+
+        // Side-by-side video players kept in lockstep
+        this.syncedVideoGroups = [];
+
         // Queue preloading of all images in this deck
         this.queueAllImages();
     }
@@ -50,7 +98,7 @@ export class HorizontalSlider extends Component {
         const urls = [];
         this.rawSlides.forEach(slide => {
             // Main source (if image)
-            if (slide.src && !slide.src.endsWith('.mp4')) {
+            if (slide.src && !slide.src.endsWith('.mp4') && slide.type !== 'model') {
                 urls.push(slide.src);
             }
             // Title image
@@ -68,6 +116,17 @@ export class HorizontalSlider extends Component {
             if (slide.thumbnail) {
                 urls.push(slide.thumbnail);
             }
+            // Quote avatar and company logo
+            if (slide.type === 'quote') {
+                [slide.avatar, slide.logo].filter(Boolean).forEach(src => urls.push(src));
+            }
+            // Before/after comparison images
+            if (slide.type === 'compare') {
+                [slide.before, slide.after].forEach(side => {
+                    const media = this.normalizeCompareMedia(side);
+                    if (media.src && !media.isVideo) urls.push(media.src);
+                });
+            }
         });
         
         if (urls.length > 0) {
@@ -75,12 +134,39 @@ export class HorizontalSlider extends Component {
         }
     }
 
+    /**
+     * Build summary (challenge/solution/impact) and metrics slides from deck
+     * metadata when the deck doesn't include explicit slides for them.
+     * They go straight after the overview slide. Set "autoSlides": false on
+     * the deck to opt out.
+     */
+    addMetadataSlides(slides, deck) {
+        if (!deck || deck.autoSlides === false) return slides;
+
+        const existingTypes = new Set(slides.map(slide => slide.type));
+        const generated = [];
+
+        const overview = deck.overview || {};
+        if (!existingTypes.has('summary') && (overview.challenge || overview.solution || overview.impact)) {
+            generated.push({ type: 'summary', generated: true });
+        }
+        if (!existingTypes.has('metrics') && Array.isArray(deck.metrics) && deck.metrics.length > 0) {
+            generated.push({ type: 'metrics', generated: true });
+        }
+
+        if (generated.length === 0) return slides;
+
+        const overviewIndex = slides.findIndex(slide => slide.type === 'overview');
+        const insertAt = overviewIndex === -1 ? 0 : overviewIndex + 1;
+        return [...slides.slice(0, insertAt), ...generated, ...slides.slice(insertAt)];
+    }
+
     groupSlides(slides) {
         const groups = [];
         let currentGroup = null;
 
         slides.forEach((slide, index) => {
-            const isMockup = ['laptop', 'iphone', 'tv'].includes(slide.type);
+            const isMockup = mockupRegistry.has(slide.type);
             
             if (currentGroup && isMockup && slide.type === currentGroup.mockupType) {
                 // Continue current group
@@ -133,22 +219,46 @@ export class HorizontalSlider extends Component {
         return map;
     }
 
+    /**
+     * Chapter title if this slide opens a new section, otherwise null.
+     * Overview and intro slides always do; quote, timeline and split slides
+     * do unless they set "section": false. A "section" string overrides
+     * the chapter title.
+     */
+    getSectionTitle(slide) {
+        if (slide.type === 'overview' || slide.type === 'intro') {
+            return slide.title || (slide.type === 'overview' ? 'Overview' : 'Section');
+        }
+
+        const defaults = { quote: 'Quote', timeline: 'Timeline', split: 'Section' };
+        if (!defaults[slide.type] || slide.section === false) return null;
+
+        return (typeof slide.section === 'string' && slide.section) ||
+            stripInlineText(slide.title || '') ||
+            (slide.type === 'quote' && slide.attribution) ||
+            defaults[slide.type];
+    }
+
     createSections(slides) {
         const sections = [];
         let currentSection = null;
 
         slides.forEach((slide, index) => {
-            if (slide.type === 'overview' || slide.type === 'intro') {
-                if (currentSection) {
-                    currentSection.endIndex = index - 1;
-                    sections.push(currentSection);
-                }
-                currentSection = {
-                    title: slide.title || (slide.type === 'overview' ? 'Overview' : 'Section'),
-                    startIndex: index,
-                    endIndex: slides.length - 1
-                };
+            const title = this.getSectionTitle(slide);
+            if (title === null) return;
+
+            if (currentSection) {
+                currentSection.endIndex = index - 1;
+                sections.push(currentSection);
+            } else if (index > 0) {
+                // Slides before the first chapter get one of their own
+                sections.push({ title: 'Gallery', startIndex: 0, endIndex: index - 1 });
             }
+            currentSection = {
+                title,
+                startIndex: index,
+                endIndex: slides.length - 1
+            };
         });
         
         if (currentSection) {
@@ -162,6 +272,69 @@ export class HorizontalSlider extends Component {
         return sections;
     }
 
+    /**
+     * URL anchor per slide, chosen so that adding or reordering slides
+     * doesn't move anyone's link: the slide's own id, the overview/summary/
+     * metrics slides by type, chapter openers by chapter title, anything
+     * else by a hash of its content (image-1x2k9a)
+     */
+    createSlideAnchors(slides) {
+        // Explicit ids are claimed first so no other name can take them
+        const used = new Set(slides.map(slide => slide.id).filter(Boolean));
+        const named = new Set(['overview', 'summary', 'metrics']);
+
+        return slides.map(slide => {
+            if (slide.id) return slide.id;
+
+            let name = null;
+            if (named.has(slide.type)) {
+                name = slide.type;
+            } else {
+                const title = this.getSectionTitle(slide);
+                name = title ? slugify(title) : null;
+            }
+
+            // Plain numbers are read as slide positions, so never use one
+            if (!name || /^\d+$/.test(name)) {
+                name = `${slugify(slide.type || 'slide')}-${hashSlide(slide)}`;
+            }
+
+            let anchor = name;
+            for (let n = 2; used.has(anchor); n++) anchor = `${name}-${n}`;
+            used.add(anchor);
+            return anchor;
+        });
+    }
+
+    getSlideAnchor(flatIndex) {
+        return this.slideAnchors[flatIndex] || String(flatIndex + 1);
+    }
+
+    /**
+     * Flat index for an anchor, or for an old slide number (/work/lexus-com/4,
+     * ?slide=3) via the deck's slideRedirects table and then by position
+     * among the authored slides. The first slide if nothing matches.
+     */
+    findSlide(anchor) {
+        if (typeof anchor === 'number') {
+            return Math.min(Math.max(anchor, 0), Math.max(this.rawSlides.length - 1, 0));
+        }
+
+        const named = this.slideAnchors.indexOf(String(anchor));
+        if (named !== -1) return named;
+
+        if (/^\d+$/.test(anchor)) {
+            const redirect = this.deck?.slideRedirects?.[anchor];
+            const redirected = redirect ? this.slideAnchors.indexOf(String(redirect)) : -1;
+            if (redirected !== -1) return redirected;
+
+            const position = Math.min(parseInt(anchor, 10), this.authoredIndexes.length) - 1;
+            return this.findSlide(this.authoredIndexes[position] ?? 0);
+        }
+
+        return 0;
+    }
+
     renderIndicators() {
         let html = '';
         
@@ -185,8 +358,8 @@ export class HorizontalSlider extends Component {
                     html += `
                         <button class="chapter-indicator" 
                                 data-section-index="${index}"
-                                aria-label="Go to ${section.title}"
-                                title="${section.title}">
+                                aria-label="Go to ${escapeHtml(section.title)}"
+                                title="${escapeHtml(section.title)}">
                         </button>
                     `;
                 }
@@ -209,16 +382,21 @@ export class HorizontalSlider extends Component {
     render() {
         const container = document.createElement('div');
         container.className = 'horizontal-slider';
+        container.classList.toggle('captions-hidden', !this.captionsVisible);
         
         // Only show controls if there's more than one slide
         const showControls = this.rawSlides.length > 1;
+        const creditsHtml = this.renderCredits();
+        const captionToggleHtml = this.renderCaptionToggle();
         
         container.innerHTML = `
             <div class="horizontal-slider-track">
                 ${this.groupedSlides.map((slide, index) => this.renderSlide(slide, index)).join('')}
             </div>
-            ${showControls ? `
+            <div class="slider-live-region" aria-live="polite" aria-atomic="true"></div>
+            ${showControls || creditsHtml || captionToggleHtml ? `
             <div class="horizontal-slider-controls">
+                ${showControls ? `
                 <button class="slider-nav slider-nav-prev" aria-label="Previous slide" disabled>
                     <i class='bx bx-chevron-left'></i>
                 </button>
@@ -228,6 +406,9 @@ export class HorizontalSlider extends Component {
                 <button class="slider-nav slider-nav-next" aria-label="Next slide">
                     <i class='bx bx-chevron-right'></i>
                 </button>
+                ` : ''}
+                ${captionToggleHtml}
+                ${creditsHtml}
             </div>
             ` : ''}
         `;
@@ -237,6 +418,66 @@ export class HorizontalSlider extends Component {
         return container;
     }
 
+    /**
+     * Caption on/off button, only when the deck has something to show
+     */
+    renderCaptionToggle() {
+        if (!this.hasCaptions) return '';
+
+        return `
+            <button class="slider-captions-toggle ${this.captionsVisible ? 'active' : ''}" 
+                    aria-label="Show captions (C)" 
+                    aria-pressed="${this.captionsVisible}">
+                <i class='bx bx-captions'></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Credits panel (client, role, year, tags) shown from the slider chrome
+     */
+    renderCredits() {
+        if (!this.deck) return '';
+
+        const { client, role, year, tags = [] } = this.deck;
+        const rows = [
+            ['Client', client],
+            ['Role', role],
+            ['Year', year]
+        ].filter(([, value]) => value);
+
+        if (rows.length === 0 && tags.length === 0) return '';
+
+        return `
+            <div class="slider-credits">
+                <button class="slider-credits-toggle" 
+                        aria-label="Project credits" 
+                        aria-expanded="false" 
+                        aria-controls="sliderCreditsPanel">
+                    <i class='bx bx-info-circle'></i>
+                </button>
+                <div class="slider-credits-panel" id="sliderCreditsPanel" role="region" aria-label="Project credits" hidden>
+                    ${this.deck.title ? `<h2 class="slider-credits-title">${renderInlineText(this.deck.title)}</h2>` : ''}
+                    ${rows.length > 0 ? `
+                    <dl class="slider-credits-list">
+                        ${rows.map(([label, value]) => `
+                            <div class="slider-credits-row">
+                                <dt>${label}</dt>
+                                <dd>${escapeHtml(value)}</dd>
+                            </div>
+                        `).join('')}
+                    </dl>
+                    ` : ''}
+                    ${tags.length > 0 ? `
+                    <ul class="slider-credits-tags">
+                        ${tags.map(tag => `<li class="slider-credits-tag">${escapeHtml(tag)}</li>`).join('')}
+                    </ul>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
     renderSlide(slide, index) {
         // Check if it's our new composite type
         if (slide.type === 'composite-mockup') {
@@ -251,20 +492,37 @@ export class HorizontalSlider extends Component {
                 return this.renderImageSlide(slide, index);
             case 'video':
                 return this.renderVideoSlide(slide, index);
+            case 'compare':
+                return this.renderCompareSlide(slide, index);
+            case 'side-by-side':
+                return this.renderSideBySideSlide(slide, index);
+            case 'visualization':
+                return this.renderVisualizationSlide(slide, index);
+            case 'model':
+                return this.renderModelSlide(slide, index);
+            case 'gallery':
+                return this.renderGallerySlide(slide, index);
+            case 'summary':
+                return this.renderSummarySlide(slide, index);
+            case 'metrics':
+                return this.renderMetricsSlide(slide, index);
+            case 'quote':
+                return this.renderQuoteSlide(slide, index);
+            case 'timeline':
+                return this.renderTimelineSlide(slide, index);
+            case 'split':
+                return this.renderSplitSlide(slide, index);
             case 'intro':
             case 'philosophy':
             case 'approach':
             case 'background':
             case 'contact':
                 return this.renderTextSlide(slide, index);
-            // Single mockups that for some reason didn't get grouped (though our logic groups all mockups)
-            case 'iphone':
-                return this.renderIPhoneMockupSlide(slide, index);
-            case 'laptop':
-                return this.renderLaptopMockupSlide(slide, index);
-            case 'tv':
-                return this.renderTVMockupSlide(slide, index);
             default:
+                // Single mockups that for some reason didn't get grouped (though our logic groups all mockups)
+                if (mockupRegistry.has(slide.type)) {
+                    return this.renderMockupSlide(slide, index);
+                }
                 return this.renderDefaultSlide(slide, index);
         }
     }
@@ -280,29 +538,15 @@ export class HorizontalSlider extends Component {
         const content = document.createElement('div');
         content.className = 'slide-content slide-mockup';
 
-        // Create the base mockup (empty)
-        let mockup;
-        if (group.mockupType === 'iphone') {
-            mockup = createIPhoneMockup([]);
-        } else if (group.mockupType === 'laptop') {
-            mockup = createLaptopMockup([]);
-        } else if (group.mockupType === 'tv') {
-            mockup = createTVMockup([]);
-            // Initialize title
-            const titleEl = mockup.querySelector('.tv-title');
-            if (titleEl && group.slides.length > 0) {
-                const first = group.slides[0];
-                titleEl.innerText = first.caption || first.alt || '';
-            }
-        }
-
-        // Find the content container within the mockup
-        // Based on mockup-helper.js classes:
-        // iPhone: .iphone-content
-        // Laptop: .laptop-content
-        // TV: .tv-content
-        const contentClass = `.${group.mockupType}-content`;
-        const contentContainer = mockup.querySelector(contentClass);
+        // Create the base mockup (empty) from its registry definition
+        const device = mockupRegistry.get(group.mockupType);
+        const mockup = createMockup(group.mockupType, []);
+
+        // Initialize bound chrome (TV title, browser URL) from the first screen
+        updateMockupChrome(mockup, group.slides[0]);
+
+        // Every device's content area carries .device-content
+        const contentContainer = mockup.querySelector('.device-content');
         
         if (contentContainer) {
             // Style content container to be a slider
@@ -329,15 +573,16 @@ export class HorizontalSlider extends Component {
                 slideItem.style.justifyContent = 'flex-start'; // Use flex-start to ensure top of scrolling content is accessible
                 
                 // Content alignment & Scrolling logic
-                // Ensure content starts at top and is scrollable
+                // Scrolling devices start at the top of long screenshots,
+                // fixed screens (TV, car) fit and center their content
                 slideItem.style.flexDirection = 'column'; // Ensure column layout
-                slideItem.style.overflowY = 'auto';
+                slideItem.style.overflowY = device.scroll === 'vertical' ? 'auto' : 'hidden';
                 slideItem.style.overflowX = 'hidden';
                 slideItem.style.webkitOverflowScrolling = 'touch';
                 
                 // Add the image(s)/video(s)
-                if (group.mockupType === 'tv' && (slide.videos || (slide.src && slide.src.includes('.mp4')))) {
-                   // Handle TV Video
+                if (device.media.includes('video') && (slide.videos || (slide.src && slide.src.includes('.mp4')))) {
+                   // Handle Video
                    const videoSrcs = slide.videos ? slide.videos.map(v => v.src || v) : [slide.src];
                    const video = document.createElement('video');
                    video.src = videoSrcs[0];
@@ -346,19 +591,20 @@ export class HorizontalSlider extends Component {
                    video.style.height = 'auto';
                    video.style.margin = 'auto'; // Center vertically if smaller
                    slideItem.appendChild(video);
+
+                   // Subtitles and chapters
+                   const trackControls = renderVideoTrackControls(slide);
+                   if (trackControls) {
+                       video.insertAdjacentHTML('beforeend', renderVideoTracks(slide));
+                       slideItem.classList.add('has-video-tracks');
+                       slideItem.insertAdjacentHTML('beforeend', trackControls);
+                   }
                 } else {
-                    // Handle Images
-                    const imageSrcs = slide.images ? slide.images.map(img => img.src || img) : [slide.src];
-                    
-                    const img = document.createElement('img');
-                    img.src = imageSrcs[0];
-                    img.alt = slide.alt || 'Case study image';
-                    img.loading = 'lazy';
-                    img.style.width = '100%';
-                    img.style.height = 'auto';
-                    img.style.display = 'block';
-                    img.style.margin = 'auto'; // Center vertically if smaller
-                    slideItem.appendChild(img);
+                    // Handle Images (with any prototype hotspots)
+                    const [screen] = this.getMockupScreens(slide);
+                    const screenEl = createMockupScreen(screen);
+                    screenEl.style.margin = 'auto'; // Center vertically if smaller
+                    slideItem.appendChild(screenEl);
                 }
                 
                 internalTrack.appendChild(slideItem);
@@ -378,15 +624,15 @@ export class HorizontalSlider extends Component {
     renderOverviewSlide(slide, index) {
         const hasTitleImage = !!slide.titleImage;
         const titleImageHtml = hasTitleImage 
-            ? `<img data-lazy-src="${slide.titleImage}" alt="${slide.title || ''}" class="slide-title-image" />`
+            ? `<img data-lazy-src="${escapeUrl(slide.titleImage)}" alt="${escapeHtml(stripInlineText(slide.title || ''))}" class="slide-title-image" />`
             : '';
         const extraClass = hasTitleImage ? 'has-title-image' : '';
         
         return `
             <div class="horizontal-slide" data-slide-index="${index}">
                 <div class="slide-content slide-overview ${extraClass}">
-                    <h1 class="slide-title">${slide.title || ''}</h1>
-                    <p class="slide-description">${slide.description || ''}</p>
+                    <h1 class="slide-title">${renderInlineText(slide.title)}</h1>
+                    <div class="slide-description slide-rich-text">${renderRichText(slide.description)}</div>
                     ${titleImageHtml}
                 </div>
             </div>
@@ -398,82 +644,76 @@ export class HorizontalSlider extends Component {
             <div class="horizontal-slide" data-slide-index="${index}">
                 <div class="slide-content slide-image">
                     <div class="slide-image-container">
-                        <img data-lazy-src="${slide.src}" 
-                             alt="${slide.alt || ''}"
+                        <img data-lazy-src="${escapeUrl(slide.src)}" 
+                             alt="${escapeHtml(slide.alt)}"
                              class="slide-image-element">
                     </div>
+                    ${this.renderCaption(slide)}
                 </div>
             </div>
         `;
     }
 
-    renderIPhoneMockupSlide(slide, index) {
-        // Fallback for single slides if not grouped (though logic groups them)
-        const wrapper = document.createElement('div');
-        wrapper.className = 'horizontal-slide';
-        wrapper.setAttribute('data-slide-index', index);
-
-        const content = document.createElement('div');
-        content.className = 'slide-content slide-mockup';
-
-        const imageSrcs = slide.images ? slide.images.map(img => img.src || img) : [slide.src];
-        const mockup = createIPhoneMockup(imageSrcs);
-        content.appendChild(mockup);
-
-        wrapper.appendChild(content);
-        const temp = document.createElement('div');
-        temp.appendChild(wrapper);
-        return temp.innerHTML;
+    hasCaption(slide) {
+        return ['image', 'compare', 'side-by-side', 'visualization', 'model', 'gallery'].includes(slide.type) && Boolean(slide.caption || slide.credit);
     }
 
-    renderLaptopMockupSlide(slide, index) {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'horizontal-slide';
-        wrapper.setAttribute('data-slide-index', index);
-
-        const content = document.createElement('div');
-        content.className = 'slide-content slide-mockup';
-
-        const imageSrcs = slide.images ? slide.images.map(img => img.src || img) : [slide.src];
-        const mockup = createLaptopMockup(imageSrcs);
-        content.appendChild(mockup);
+    /**
+     * Caption overlay with optional credit line. Captions support inline
+     * rich text (**bold**, *italic*, [links](url)).
+     */
+    renderCaption(slide) {
+        if (!this.hasCaption(slide)) return '';
 
-        wrapper.appendChild(content);
-        const temp = document.createElement('div');
-        temp.appendChild(wrapper);
-        return temp.innerHTML;
+        return `
+            <div class="slide-caption" aria-hidden="true">
+                ${slide.caption ? `<span class="slide-caption-text">${renderInlineText(slide.caption)}</span>` : ''}
+                ${slide.credit ? `<span class="slide-caption-credit">${renderInlineText(slide.credit)}</span>` : ''}
+            </div>
+        `;
     }
 
-    renderTVMockupSlide(slide, index) {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'horizontal-slide';
-        wrapper.setAttribute('data-slide-index', index);
-
-        const content = document.createElement('div');
-        content.className = 'slide-content slide-mockup';
-
-        const videoSrcs = slide.videos ? slide.videos.map(v => v.src || v) : [slide.src];
-        const mockup = createTVMockup(videoSrcs);
-        content.appendChild(mockup);
+    /**
+     * Screens for a mockup slide as { src, alt, hotspots }. Slide-level
+     * hotspots apply to the first screen.
+     */
+    getMockupScreens(slide) {
+        const items = slide.images || [slide.src];
+        return items.map((item, i) => {
+            const screen = typeof item === 'string' ? { src: item } : { ...item };
+            screen.alt = screen.alt || slide.alt || 'Case study image';
+            if (i === 0 && !screen.hotspots && slide.hotspots) {
+                screen.hotspots = slide.hotspots;
+            }
+            return screen;
+        });
+    }
 
-        wrapper.appendChild(content);
-        const temp = document.createElement('div');
-        temp.appendChild(wrapper);
-        return temp.innerHTML;
+    renderMockupSlide(slide, index) {
+        // Fallback for single slides if not grouped - render as a group of one
+        return this.renderCompositeMockupSlide({
+            type: 'composite-mockup',
+            mockupType: slide.type,
+            slides: [slide]
+        }, index);
     }
 
     renderVideoSlide(slide, index) {
+        const trackControls = renderVideoTrackControls(slide);
+
         return `
             <div class="horizontal-slide" data-slide-index="${index}">
                 <div class="slide-content slide-video">
-                    <div class="slide-video-container">
-                        <video src="${slide.src}" 
-                               poster="${slide.thumbnail || ''}"
+                    <div class="slide-video-container ${trackControls ? 'has-video-tracks' : ''}">
+                        <video src="${escapeUrl(slide.src)}" 
+                               poster="${escapeUrl(slide.thumbnail)}"
                                controls
                                playsinline
                                class="slide-video-element">
+                            ${renderVideoTracks(slide)}
                             Your browser does not support video playback.
                         </video>
+                        ${trackControls}
                     </div>
                 </div>
             </div>
@@ -482,22 +722,412 @@ export class HorizontalSlider extends Component {
 
     renderTextSlide(slide, index) {
         const titleImageHtml = slide.titleImage 
-            ? `<img data-lazy-src="${slide.titleImage}" alt="${slide.title || ''}" class="slide-title-image" />`
+            ? `<img data-lazy-src="${escapeUrl(slide.titleImage)}" alt="${escapeHtml(stripInlineText(slide.title || ''))}" class="slide-title-image" />`
             : '';
         const hasTitleImageClass = slide.titleImage ? 'has-title-image' : '';
         
         return `
             <div class="horizontal-slide" data-slide-index="${index}">
                 <div class="slide-content slide-text ${hasTitleImageClass}">
-                    <h1 class="slide-title">${slide.title || ''}</h1>
-                    ${slide.content ? `<p class="slide-text-content">${slide.content}</p>` : ''}
+                    <h1 class="slide-title">${renderInlineText(slide.title)}</h1>
+                    ${slide.content ? `<div class="slide-text-content slide-rich-text">${renderRichText(slide.content)}</div>` : ''}
                     ${titleImageHtml}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Testimonial: "quote" (inline rich text), "attribution", "role",
+     * "company", plus optional "avatar" and company "logo" images.
+     */
+    renderQuoteSlide(slide, index) {
+        const attribution = slide.attribution ? escapeHtml(slide.attribution) : '';
+        const role = [slide.role, slide.company].filter(Boolean).map(escapeHtml).join(', ');
+        const avatarHtml = slide.avatar
+            ? `<img data-lazy-src="${escapeUrl(slide.avatar)}" alt="" class="quote-avatar">`
+            : '';
+        const logoHtml = slide.logo
+            ? `<img data-lazy-src="${escapeUrl(slide.logo)}" alt="${escapeHtml(slide.company || '')}" class="quote-logo">`
+            : '';
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <figure class="slide-content slide-quote">
+                    ${logoHtml}
+                    <blockquote class="quote-text">
+                        <p>${renderInlineText(slide.quote || '')}</p>
+                    </blockquote>
+                    ${attribution || role ? `
+                        <figcaption class="quote-attribution">
+                            ${avatarHtml}
+                            <span class="quote-attribution-text">
+                                ${attribution ? `<span class="quote-name">${attribution}</span>` : ''}
+                                ${role ? `<span class="quote-role">${role}</span>` : ''}
+                            </span>
+                        </figcaption>
+                    ` : ''}
+                </figure>
+            </div>
+        `;
+    }
+
+    /**
+     * Dated milestones ({ date, title, description }) that animate in one
+     * after another each time the slide becomes active.
+     */
+    renderTimelineSlide(slide, index) {
+        const milestones = Array.isArray(slide.milestones) ? slide.milestones : [];
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-timeline">
+                    ${slide.title ? `<h2 class="slide-timeline-title">${renderInlineText(slide.title)}</h2>` : ''}
+                    <ol class="timeline" style="--milestone-count: ${milestones.length};">
+                        ${milestones.map((milestone, i) => `
+                            <li class="timeline-milestone" style="--milestone-index: ${i};">
+                                <span class="timeline-marker" aria-hidden="true"></span>
+                                ${milestone.date ? `<time class="timeline-date"${milestone.datetime ? ` datetime="${escapeHtml(milestone.datetime)}"` : ''}>${escapeHtml(milestone.date)}</time>` : ''}
+                                ${milestone.title ? `<h3 class="timeline-title">${renderInlineText(milestone.title)}</h3>` : ''}
+                                ${milestone.description ? `<p class="timeline-description">${renderInlineText(milestone.description)}</p>` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Text column next to an image or video. "side" is where the media sits
+     * ("right", default, or "left"); "ratio" is the media column's share of
+     * the width, 0.2-0.8 (default 0.5). Stacks on mobile, media first.
+     */
+    renderSplitSlide(slide, index) {
+        const side = slide.side === 'left' ? 'left' : 'right';
+        const ratio = Math.min(0.8, Math.max(0.2, Number(slide.ratio ?? 0.5) || 0.5));
+        const media = this.normalizeCompareMedia(slide);
+
+        const mediaHtml = media.isVideo
+            ? `<video src="${escapeUrl(media.src)}" 
+                      class="split-media-element" 
+                      poster="${escapeUrl(slide.poster)}"
+                      muted loop playsinline 
+                      aria-label="${escapeHtml(media.alt)}"></video>`
+            : `<img data-lazy-src="${escapeUrl(media.src)}" alt="${escapeHtml(media.alt)}" class="split-media-element">`;
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-split split-media-${side}" style="--split-media-ratio: ${ratio};">
+                    <div class="split-text">
+                        ${slide.title ? `<h2 class="split-title">${renderInlineText(slide.title)}</h2>` : ''}
+                        ${slide.content ? `<div class="split-content slide-rich-text">${renderRichText(slide.content)}</div>` : ''}
+                    </div>
+                    ${media.src ? `<div class="split-media">${mediaHtml}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Before/after slide: "before" and "after" can be a path or
+     * { src, alt, label }, images or videos. "orientation" is "horizontal"
+     * (left/right, default) or "vertical" (top/bottom), "position" is the
+     * starting divider position in percent.
+     */
+    renderCompareSlide(slide, index) {
+        const orientation = slide.orientation === 'vertical' ? 'vertical' : 'horizontal';
+        const position = Math.min(100, Math.max(0, Number(slide.position ?? 50)));
+        const before = this.normalizeCompareMedia(slide.before, slide.beforeLabel || 'Before');
+        const after = this.normalizeCompareMedia(slide.after, slide.afterLabel || 'After');
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-compare">
+                    <div class="compare-frame compare-${orientation}" 
+                         data-media-group 
+                         data-orientation="${orientation}" 
+                         style="--compare-position: ${position}%;">
+                        ${this.renderCompareMedia(before, 'before')}
+                        ${this.renderCompareMedia(after, 'after')}
+                        <span class="compare-label compare-label-before">${escapeHtml(before.label)}</span>
+                        <span class="compare-label compare-label-after">${escapeHtml(after.label)}</span>
+                        <div class="compare-divider" 
+                             role="slider" 
+                             tabindex="0" 
+                             aria-label="${escapeHtml(slide.alt || `${before.label} / ${after.label} comparison`)}" 
+                             aria-orientation="${orientation}" 
+                             aria-valuemin="0" 
+                             aria-valuemax="100" 
+                             aria-valuenow="${Math.round(position)}">
+                            <span class="compare-handle">
+                                <i class='bx ${orientation === 'vertical' ? 'bx-move-vertical' : 'bx-move-horizontal'}'></i>
+                            </span>
+                        </div>
+                    </div>
+                    ${this.renderCaption(slide)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Two or more videos in lockstep ("animatic vs. final", "v1 vs. v2")
+     * behind one play/scrub control. "audio" is the index of the video whose
+     * sound plays; leave it out to keep every player muted.
+     */
+    renderSideBySideSlide(slide, index) {
+        const videos = (slide.videos || []).map((item, i) => {
+            const video = typeof item === 'string' ? { src: item } : item;
+            return { ...video, label: video.label || video.caption || `Version ${i + 1}` };
+        });
+        const hasAudio = Number.isInteger(slide.audio);
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-side-by-side">
+                    <div class="side-by-side-frame side-by-side-count-${videos.length}" 
+                         data-media-group 
+                         role="group" 
+                         aria-label="${escapeHtml(slide.alt || videos.map(video => video.label).join(' / '))}">
+                        <div class="side-by-side-grid">
+                            ${videos.map((video, i) => `
+                                <figure class="side-by-side-pane">
+                                    <video src="${escapeUrl(video.src)}" 
+                                           ${video.poster ? `poster="${escapeUrl(video.poster)}"` : ''}
+                                           preload="metadata"
+                                           playsinline
+                                           muted
+                                           aria-label="${escapeHtml(video.alt || video.label)}"></video>
+                                    <figcaption class="side-by-side-label">
+                                        <span>${escapeHtml(video.label)}</span>
+                                        ${hasAudio ? `
+                                        <button class="side-by-side-audio" data-index="${i}" aria-label="Listen to ${escapeHtml(video.label)}" aria-pressed="false">
+                                            <i class='bx bx-volume-mute'></i>
+                                        </button>
+                                        ` : ''}
+                                    </figcaption>
+                                </figure>
+                            `).join('')}
+                        </div>
+                        <div class="side-by-side-controls">
+                            <button class="side-by-side-play" aria-label="Play">
+                                <i class='bx bx-play'></i>
+                            </button>
+                            <input type="range" class="side-by-side-scrub" min="0" max="1000" step="1" value="0" aria-label="Seek">
+                            <span class="side-by-side-time">0:00 / 0:00</span>
+                        </div>
+                    </div>
+                    ${this.renderCaption(slide)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Many images in one slide. "layout": "justified" (rows, the default) or
+     * "masonry" (columns). Give images "width"/"height" so tiles are sized
+     * before they load; tiles open the lightbox.
+     */
+    renderGallerySlide(slide, index) {
+        const layout = slide.layout === 'masonry' ? 'masonry' : 'justified';
+        const images = this.getGalleryImages(slide);
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-gallery">
+                    <div class="slide-gallery-scroll">
+                        ${slide.title ? `<h2 class="slide-gallery-title">${renderInlineText(slide.title)}</h2>` : ''}
+                        <div class="gallery-grid gallery-${layout}" 
+                             style="--gallery-row-height: ${Number(slide.rowHeight) || 240}px; --gallery-columns: ${Number(slide.columns) || 3};">
+                            ${images.map((image, i) => `
+                                <button class="gallery-tile ${image.ratio ? '' : 'ratio-unknown'}" 
+                                        data-gallery-index="${i}" 
+                                        style="--tile-ratio: ${image.ratio || 1.5};" 
+                                        aria-label="${escapeHtml(image.alt || `Image ${i + 1} of ${images.length}`)}">
+                                    <img data-lazy-src="${escapeUrl(image.src)}" alt="${escapeHtml(image.alt)}" draggable="false">
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ${this.renderCaption(slide)}
+                </div>
+            </div>
+        `;
+    }
+
+    getGalleryImages(slide) {
+        return (slide.images || []).map(item => {
+            const image = typeof item === 'string' ? { src: item } : item;
+            const ratio = image.width && image.height ? image.width / image.height : null;
+            return { ...image, ratio };
+        });
+    }
+
+    /**
+     * Gallery tiles open the lightbox; tiles without known dimensions take
+     * their real aspect ratio once loaded
+     */
+    setupGalleries(container) {
+        container.querySelectorAll('.gallery-grid').forEach(grid => {
+            const slideEl = grid.closest('.horizontal-slide');
+            const slide = this.groupedSlides[parseInt(slideEl.dataset.slideIndex)];
+            const images = this.getGalleryImages(slide);
+
+            this.addEventListener(grid, 'click', (e) => {
+                const tile = e.target.closest('.gallery-tile');
+                if (!tile) return;
+
+                e.stopPropagation();
+                this.lightbox = new Lightbox({
+                    images,
+                    startIndex: parseInt(tile.dataset.galleryIndex),
+                    onClose: () => { this.lightbox = null; }
+                });
+                this.lightbox.open();
+            });
+
+            grid.querySelectorAll('.gallery-tile.ratio-unknown img').forEach(img => {
+                this.addEventListener(img, 'load', () => {
+                    if (!img.naturalWidth || !img.naturalHeight) return;
+                    img.parentElement.style.setProperty('--tile-ratio', img.naturalWidth / img.naturalHeight);
+                });
+            });
+        });
+    }
+
+    /**
+     * glTF/GLB model to inspect in 3D. Shares the visualization frame: the
+     * poster shows until the model has loaded (and stays if it fails).
+     * Options: "autoRotate" (true/false or a speed), "lighting" (studio, soft,
+     * outdoor, dramatic), "background" (CSS color/variable or "transparent").
+     */
+    renderModelSlide(slide, index) {
+        const poster = slide.poster || slide.thumbnail;
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-visualization slide-model">
+                    <div class="slide-visualization-frame slide-model-frame interactive" 
+                         role="img" 
+                         aria-label="${escapeHtml(slide.alt || stripInlineText(slide.title || '') || '3D model')}">
+                        ${poster ? `<img data-lazy-src="${escapeUrl(poster)}" alt="" class="slide-visualization-poster">` : ''}
+                        <div class="image-loading-spinner"></div>
+                        <div class="slide-model-progress"></div>
+                    </div>
+                    ${this.renderCaption(slide)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Live visualization embed. "visualization" is a visualizationRegistry id,
+     * "settings" is deep-merged over the piece's defaults (e.g. FOREST_SETTINGS).
+     * Set "interactive": true for pieces you can drag (the slide then won't
+     * swipe from inside the frame).
+     */
+    renderVisualizationSlide(slide, index) {
+        const config = visualizationRegistry.get(slide.visualization);
+        if (!config) {
+            console.warn(`HorizontalSlider: unknown visualization "${slide.visualization}"`);
+            return this.renderDefaultSlide(slide, index);
+        }
+
+        const label = slide.alt || stripInlineText(slide.title || '') || config.title;
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-visualization">
+                    <div class="slide-visualization-frame ${slide.interactive ? 'interactive' : ''}" 
+                         data-visualization="${config.id}" 
+                         role="img" 
+                         aria-label="${escapeHtml(label)}">
+                        ${slide.thumbnail ? `<img data-lazy-src="${escapeUrl(slide.thumbnail)}" alt="" class="slide-visualization-poster">` : ''}
+                    </div>
+                    ${this.renderCaption(slide)}
+                </div>
+            </div>
+        `;
+    }
+
+    normalizeCompareMedia(media, defaultLabel = '') {
+        const item = typeof media === 'string' ? { src: media } : (media || {});
+        return {
+            src: item.src || '',
+            alt: item.alt || '',
+            label: item.label || defaultLabel,
+            isVideo: /\.(mp4|webm|mov)(\?|#|$)/i.test(item.src || '')
+        };
+    }
+
+    renderCompareMedia(media, side) {
+        if (media.isVideo) {
+            return `
+                <video src="${escapeUrl(media.src)}" 
+                       class="compare-media compare-${side}" 
+                       muted loop playsinline 
+                       aria-label="${escapeHtml(media.alt || media.label)}"></video>
+            `;
+        }
+
+        return `
+            <img data-lazy-src="${escapeUrl(media.src)}" 
+                 alt="${escapeHtml(media.alt)}" 
+                 class="compare-media compare-${side}" 
+                 draggable="false">
+        `;
+    }
+
+    renderSummarySlide(slide, index) {
+        // Slide fields override the deck's overview block
+        const overview = { ...(this.deck?.overview || {}), ...slide };
+        const blocks = [
+            ['challenge', 'Challenge'],
+            ['solution', 'Solution'],
+            ['impact', 'Impact']
+        ].filter(([key]) => overview[key]);
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-summary">
+                    ${slide.title ? `<h2 class="slide-summary-title">${renderInlineText(slide.title)}</h2>` : ''}
+                    <div class="summary-grid">
+                        ${blocks.map(([key, label]) => `
+                            <div class="summary-block summary-${key}">
+                                <h3 class="summary-label">${label}</h3>
+                                <p class="summary-text">${renderInlineText(overview[key])}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderMetricsSlide(slide, index) {
+        const metrics = slide.metrics || this.deck?.metrics || [];
+
+        return `
+            <div class="horizontal-slide" data-slide-index="${index}">
+                <div class="slide-content slide-metrics">
+                    <h2 class="slide-metrics-title">${slide.title ? renderInlineText(slide.title) : 'Results'}</h2>
+                    <dl class="metrics-grid">
+                        ${metrics.map(metric => `
+                            <div class="metric">
+                                <dt class="metric-label">${escapeHtml(metric.label)}</dt>
+                                <dd class="metric-value">${escapeHtml(metric.value)}</dd>
+                            </div>
+                        `).join('')}
+                    </dl>
+                </div>
+            </div>
+        `;
+    }
+
     renderDefaultSlide(slide, index) {
+        // Usually a typo in the deck JSON - `npm run validate` catches these
+        console.warn(`HorizontalSlider: unknown slide type "${slide.type}" at slide ${index + 1}`);
         return `
             <div class="horizontal-slide" data-slide-index="${index}">
                 <div class="slide-content">
@@ -605,17 +1235,51 @@ export class HorizontalSlider extends Component {
             }
 
             video.addEventListener('play', () => {
+                // Compare and side-by-side slides play their videos together
+                const mediaGroup = video.closest('[data-media-group]');
                 videos.forEach(other => {
-                    if (other !== video && !other.paused) {
+                    if (other !== video && !other.paused && !(mediaGroup && mediaGroup.contains(other))) {
                         other.pause();
                     }
                 });
             });
         });
 
+        // Before/after dividers
+        container.querySelectorAll('.compare-frame').forEach(frame => {
+            this.setupCompareFrame(frame);
+        });
+
+        // Side-by-side videos in lockstep
+        container.querySelectorAll('.side-by-side-frame').forEach(frame => {
+            this.setupSideBySideFrame(frame);
+        });
+
+        // Prototype hotspots inside mockups
+        this.setupHotspots(container);
+
+        // Gallery tiles and lightbox
+        this.setupGalleries(container);
+
+        // Video subtitles and chapter menus
+        this.setupVideoTracks(container);
+
+        // Interactive visualizations keep touches to themselves
+        container.querySelectorAll('.slide-visualization-frame.interactive').forEach(frame => {
+            ['touchstart', 'touchmove', 'touchend'].forEach(eventName => {
+                this.addEventListener(frame, eventName, (e) => e.stopPropagation());
+            });
+        });
+
+        // Credits panel
+        this.setupCredits(container);
+
+        // Caption toggle (button, C for all decks, Shift+C for this deck only)
+        this.setupCaptions(container);
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
-            if (!container.offsetParent) return;
+            if (!container.offsetParent || window.isLightboxOpen) return;
 
             if (e.key === 'ArrowLeft') {
                 e.preventDefault();
@@ -630,9 +1294,635 @@ export class HorizontalSlider extends Component {
         this.initializeState(container);
     }
 
+    /**
+     * Draggable before/after divider. Pointer events cover mouse and touch;
+     * touch events are stopped at the frame so the slider's own swipe
+     * handling never sees a divider drag.
+     */
+    setupCompareFrame(frame) {
+        const divider = frame.querySelector('.compare-divider');
+        const isVertical = frame.dataset.orientation === 'vertical';
+        let activePointerId = null;
+
+        const setPosition = (percent) => {
+            const position = Math.min(100, Math.max(0, percent));
+            frame.style.setProperty('--compare-position', `${position}%`);
+            divider.setAttribute('aria-valuenow', String(Math.round(position)));
+        };
+
+        const getPosition = () => parseFloat(divider.getAttribute('aria-valuenow')) || 0;
+
+        const positionFromPointer = (e) => {
+            const rect = frame.getBoundingClientRect();
+            return isVertical
+                ? ((e.clientY - rect.top) / rect.height) * 100
+                : ((e.clientX - rect.left) / rect.width) * 100;
+        };
+
+        const endDrag = () => {
+            if (activePointerId === null) return;
+            activePointerId = null;
+            frame.classList.remove('dragging');
+            window.isVisualizationDragging = false;
+        };
+
+        this.addEventListener(frame, 'pointerdown', (e) => {
+            if (e.button !== undefined && e.button !== 0) return;
+            activePointerId = e.pointerId;
+            frame.setPointerCapture(e.pointerId);
+            frame.classList.add('dragging');
+            window.isVisualizationDragging = true;
+            setPosition(positionFromPointer(e));
+            e.preventDefault();
+        });
+
+        this.addEventListener(frame, 'pointermove', (e) => {
+            if (e.pointerId !== activePointerId) return;
+            setPosition(positionFromPointer(e));
+        });
+
+        this.addEventListener(frame, 'pointerup', endDrag);
+        this.addEventListener(frame, 'pointercancel', endDrag);
+        this.addEventListener(frame, 'lostpointercapture', endDrag);
+
+        // Keep touches inside the frame away from the slide track
+        ['touchstart', 'touchmove', 'touchend'].forEach(eventName => {
+            this.addEventListener(frame, eventName, (e) => e.stopPropagation());
+        });
+
+        // Keyboard: arrows nudge, Shift for bigger steps, Home/End jump
+        this.addEventListener(divider, 'keydown', (e) => {
+            const step = e.shiftKey ? 10 : 2;
+            const decreaseKey = isVertical ? 'ArrowUp' : 'ArrowLeft';
+            const increaseKey = isVertical ? 'ArrowDown' : 'ArrowRight';
+            let handled = true;
+
+            if (e.key === decreaseKey) {
+                setPosition(getPosition() - step);
+            } else if (e.key === increaseKey) {
+                setPosition(getPosition() + step);
+            } else if (e.key === 'Home') {
+                setPosition(0);
+            } else if (e.key === 'End') {
+                setPosition(100);
+            } else {
+                handled = false;
+            }
+
+            // Don't let the slider (left/right) or app (up/down) navigate
+            if (handled) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        });
+
+        // Keep video pairs in step
+        const [beforeVideo, afterVideo] = ['.compare-before', '.compare-after']
+            .map(selector => frame.querySelector(selector))
+            .map(el => (el && el.tagName === 'VIDEO' ? el : null));
+
+        if (beforeVideo && afterVideo) {
+            this.addEventListener(beforeVideo, 'play', () => afterVideo.play().catch(() => {}));
+            this.addEventListener(beforeVideo, 'pause', () => afterVideo.pause());
+            this.addEventListener(beforeVideo, 'timeupdate', () => {
+                if (Math.abs(afterVideo.currentTime - beforeVideo.currentTime) > 0.15) {
+                    afterVideo.currentTime = beforeVideo.currentTime;
+                }
+            });
+        }
+    }
+
+    /**
+     * Shared controls for a side-by-side slide. Touches and arrow keys on the
+     * controls stay there, so scrubbing doesn't change slides.
+     */
+    setupSideBySideFrame(frame) {
+        const slideEl = frame.closest('.horizontal-slide');
+        const slide = this.groupedSlides[parseInt(slideEl.dataset.slideIndex)];
+
+        this.syncedVideoGroups.push(new SyncedVideoGroup(frame, {
+            audible: Number.isInteger(slide.audio) ? slide.audio : null,
+            loop: Boolean(slide.loop)
+        }));
+
+        const controls = frame.querySelector('.side-by-side-controls');
+        ['touchstart', 'touchmove', 'touchend'].forEach(eventName => {
+            this.addEventListener(controls, eventName, (e) => e.stopPropagation());
+        });
+        this.addEventListener(controls, 'keydown', (e) => {
+            if (e.key.startsWith('Arrow')) e.stopPropagation();
+        });
+    }
+
+    /**
+     * Start compare and split-layout videos on the active slide (they're
+     * muted, so autoplay is allowed)
+     */
+    playCompareVideos(groupIndex) {
+        if (!this.element) return;
+        const slideEl = this.element.querySelector(`.horizontal-slide[data-slide-index="${groupIndex}"]`);
+        const video = slideEl?.querySelector('video.compare-before, video.split-media-element');
+        if (video) {
+            video.play().catch(() => {});
+        }
+    }
+
+    /**
+     * Play the active screen's long screenshot if it opted in with
+     * "autoScroll"; stop every other one
+     */
+    updateAutoScroll(activeFlatIndex) {
+        if (!this.element) return;
+
+        this.autoScrollers.forEach((scroller, flatIndex) => {
+            if (flatIndex !== activeFlatIndex) scroller.stop();
+        });
+
+        const slide = this.rawSlides[activeFlatIndex];
+        if (!slide || !slide.autoScroll) return;
+
+        const device = mockupRegistry.get(slide.type);
+        if (!device || device.scroll !== 'vertical') return;
+
+        let scroller = this.autoScrollers.get(activeFlatIndex);
+        if (!scroller) {
+            const screenEl = this.getInternalSlideElement(activeFlatIndex);
+            if (!screenEl) return;
+
+            scroller = new ScreenAutoScroll(screenEl, slide.autoScroll);
+            this.autoScrollers.set(activeFlatIndex, scroller);
+        }
+        scroller.start();
+    }
+
+    /**
+     * Animate the active slide's timeline milestones in; reset the others
+     * so they play again on the next visit
+     */
+    updateTimelines(activeGroupIndex) {
+        if (!this.element) return;
+
+        this.element.querySelectorAll('.slide-timeline').forEach(timeline => {
+            const slideEl = timeline.closest('.horizontal-slide');
+            timeline.classList.toggle('is-playing', parseInt(slideEl?.dataset.slideIndex) === activeGroupIndex);
+        });
+    }
+
+    /**
+     * Mount the active slide's visualization (on first visit) and resume it;
+     * pause every other embed so only one render loop runs at a time
+     */
+    updateVisualizations(activeGroupIndex) {
+        if (!this.element) return;
+
+        this.visualizations.forEach((entry, groupIndex) => {
+            if (groupIndex !== activeGroupIndex && entry.instance && typeof entry.instance.pause === 'function') {
+                entry.instance.pause();
+            }
+        });
+
+        const group = this.groupedSlides[activeGroupIndex];
+        if (!group || !['visualization', 'model'].includes(group.type)) return;
+
+        const existing = this.visualizations.get(activeGroupIndex);
+        if (existing) {
+            if (existing.instance && typeof existing.instance.resume === 'function') {
+                existing.instance.resume();
+            }
+            return;
+        }
+
+        const frame = this.element.querySelector(
+            `.horizontal-slide[data-slide-index="${activeGroupIndex}"] .slide-visualization-frame`
+        );
+        if (!frame) return;
+
+        const entry = { instance: null, disposed: false };
+        this.visualizations.set(activeGroupIndex, entry);
+
+        const mount = group.type === 'model'
+            ? this.createModelViewer(group, frame, entry)
+            : visualizationRegistry.create(group.visualization, frame, group.settings || null);
+
+        mount
+            .then(instance => {
+                // Deck torn down while the module was loading
+                if (entry.disposed) {
+                    if (typeof instance.dispose === 'function') instance.dispose();
+                    return;
+                }
+
+                entry.instance = instance;
+                frame.classList.add('loaded');
+
+                // User moved on while it was loading
+                if (this.slideMap[this.currentFlatIndex]?.groupIndex !== activeGroupIndex &&
+                    typeof instance.pause === 'function') {
+                    instance.pause();
+                }
+            })
+            .catch(error => {
+                if (entry.disposed) return;
+                console.error(`Failed to mount ${group.type} "${group.visualization || group.src}":`, error);
+                frame.classList.add('load-failed');
+                this.visualizations.delete(activeGroupIndex);
+            });
+    }
+
+    /**
+     * three.js and the loaders are only fetched when a deck has a model.
+     * The viewer is registered before the model arrives, so leaving the
+     * slide pauses it and tearing the deck down disposes it mid-load.
+     */
+    async createModelViewer(slide, frame, entry) {
+        const { ModelViewer } = await import('../../utils/model-viewer.js');
+        const progress = frame.querySelector('.slide-model-progress');
+
+        const viewer = new ModelViewer(frame, slide);
+        entry.instance = viewer;
+        if (entry.disposed) return viewer;
+
+        await viewer.load(fraction => {
+            if (progress) progress.style.transform = `scaleX(${fraction})`;
+        });
+
+        // load() gives null if the deck was torn down meanwhile; the entry is
+        // marked disposed, so updateVisualizations drops the viewer
+        return viewer;
+    }
+
+    disposeVisualizations() {
+        this.visualizations.forEach(entry => {
+            entry.disposed = true;
+            if (entry.instance && typeof entry.instance.dispose === 'function') {
+                entry.instance.dispose();
+            }
+        });
+        this.visualizations.clear();
+    }
+
+    setupHotspots(container) {
+        const track = container.querySelector('.horizontal-slider-track');
+        if (!track || !track.querySelector('.mockup-screen-image.has-hotspots')) return;
+
+        this.addEventListener(track, 'click', (e) => {
+            const hotspot = e.target.closest('.mockup-hotspot');
+            if (hotspot) {
+                e.stopPropagation();
+                const groupEl = hotspot.closest('.horizontal-slide');
+                const groupIndex = parseInt(groupEl?.dataset.slideIndex);
+                this.followHotspot(hotspot.dataset.target, hotspot.dataset.transition, groupIndex);
+                hotspot.blur();
+                return;
+            }
+
+            // Clicking elsewhere on a prototype screen flashes its hotspots
+            const screen = e.target.closest('.mockup-screen-image.has-hotspots');
+            if (screen) {
+                screen.classList.remove('reveal-hotspots');
+                void screen.offsetWidth; // Restart the animation
+                screen.classList.add('reveal-hotspots');
+            }
+        });
+    }
+
+    /**
+     * Resolve a hotspot target to a flat slide index.
+     * Numbers are screen indexes within the mockup group, strings are slide ids.
+     */
+    resolveHotspotTarget(target, groupIndex) {
+        if (target === '' || target === undefined) return -1;
+
+        if (/^\d+$/.test(target)) {
+            const groupStart = this.slideMap.findIndex(entry => entry.groupIndex === groupIndex);
+            const flatIndex = groupStart + parseInt(target);
+            const entry = this.slideMap[flatIndex];
+            return entry && entry.groupIndex === groupIndex ? flatIndex : -1;
+        }
+
+        return this.rawSlides.findIndex(slide => slide.id === target);
+    }
+
+    followHotspot(target, transition = 'slide', groupIndex) {
+        const flatIndex = this.resolveHotspotTarget(target, groupIndex);
+        if (flatIndex === -1) {
+            console.warn(`HorizontalSlider: hotspot target "${target}" not found`);
+            return;
+        }
+        if (flatIndex === this.currentFlatIndex) return;
+
+        const targetGroupIndex = this.slideMap[flatIndex].groupIndex;
+
+        // Jumps to other slides always use the normal slide transition
+        if (transition === 'slide' || targetGroupIndex !== groupIndex) {
+            this.goToSlide(flatIndex);
+            this.resetScreenScroll(flatIndex);
+            return;
+        }
+
+        this.goToSlide(flatIndex, false);
+        this.resetScreenScroll(flatIndex);
+
+        const screenEl = this.getInternalSlideElement(flatIndex);
+        if (!screenEl || transition === 'none') return;
+
+        const keyframes = transition === 'slide-up'
+            ? [{ transform: 'translateY(100%)' }, { transform: 'translateY(0)' }]
+            : [{ opacity: 0 }, { opacity: 1 }];
+
+        screenEl.animate(keyframes, {
+            duration: transition === 'slide-up' ? 450 : 300,
+            easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)'
+        });
+    }
+
+    getInternalSlideElement(flatIndex) {
+        const { groupIndex, internalIndex } = this.slideMap[flatIndex];
+        const groupEl = this.element?.querySelector(`.horizontal-slide[data-slide-index="${groupIndex}"]`);
+        return groupEl?.querySelectorAll('.internal-slide')[internalIndex] || null;
+    }
+
+    /**
+     * Prototype screens open at the top, like a real app navigation
+     */
+    resetScreenScroll(flatIndex) {
+        const screenEl = this.getInternalSlideElement(flatIndex);
+        if (screenEl) screenEl.scrollTop = 0;
+    }
+
+    setupCaptions(container) {
+        if (!this.hasCaptions) return;
+
+        const toggle = container.querySelector('.slider-captions-toggle');
+        if (toggle) {
+            this.addEventListener(toggle, 'click', () => {
+                this.setCaptionsVisible(!this.captionsVisible);
+                toggle.blur();
+            });
+        }
+
+        this.addEventListener(document, 'keydown', (e) => {
+            if (!container.offsetParent || window.isLightboxOpen) return;
+            if (e.key !== 'c' && e.key !== 'C') return;
+            if (e.metaKey || e.ctrlKey || e.altKey) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+
+            e.preventDefault();
+            this.setCaptionsVisible(!this.captionsVisible, { deckOnly: e.shiftKey });
+        });
+    }
+
+    setCaptionsVisible(visible, { deckOnly = false } = {}) {
+        this.captionsVisible = visible;
+
+        if (deckOnly) {
+            captionPreferences.setForDeck(this.deckId, visible);
+        } else {
+            captionPreferences.setGlobal(visible, this.deckId);
+        }
+
+        if (!this.element) return;
+        this.element.classList.toggle('captions-hidden', !visible);
+
+        const toggle = this.element.querySelector('.slider-captions-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', visible);
+            toggle.setAttribute('aria-pressed', String(visible));
+        }
+
+        this.announce(visible ? 'Captions on' : 'Captions off');
+    }
+
+    /**
+     * Read the current slide's caption and credit to screen readers.
+     * The visual overlay is aria-hidden so it isn't read twice; captions are
+     * announced even when hidden visually since alt text alone is often terse.
+     */
+    announceSlide(flatIndex) {
+        const slide = this.rawSlides[flatIndex];
+        if (!slide || !this.hasCaption(slide)) {
+            this.announce('');
+            return;
+        }
+
+        const parts = [];
+        if (slide.caption) parts.push(stripInlineText(slide.caption));
+        if (slide.credit) parts.push(stripInlineText(slide.credit));
+        this.announce(parts.join('. '));
+    }
+
+    announce(message) {
+        const region = this.element?.querySelector('.slider-live-region');
+        if (region) region.textContent = message;
+    }
+
+    setupCredits(container) {
+        const toggle = container.querySelector('.slider-credits-toggle');
+        const panel = container.querySelector('.slider-credits-panel');
+        if (!toggle || !panel) return;
+
+        const setOpen = (isOpen) => {
+            panel.hidden = !isOpen;
+            toggle.setAttribute('aria-expanded', String(isOpen));
+            toggle.classList.toggle('active', isOpen);
+        };
+
+        this.addEventListener(toggle, 'click', (e) => {
+            e.stopPropagation();
+            setOpen(panel.hidden);
+            toggle.blur();
+        });
+
+        // Close on outside click or Escape
+        this.addEventListener(document, 'click', (e) => {
+            if (!panel.hidden && !panel.contains(e.target)) {
+                setOpen(false);
+            }
+        });
+        this.addEventListener(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && !panel.hidden) {
+                setOpen(false);
+            }
+        });
+    }
+
+    /**
+     * Subtitles and chapter menus on video slides. Subtitles are one setting
+     * for every video (and every deck), remembered between visits - whether
+     * switched with our button or the browser's own captions menu.
+     */
+    setupVideoTracks(container) {
+        const frames = container.querySelectorAll('.has-video-tracks');
+
+        frames.forEach(frame => {
+            const video = frame.querySelector('video');
+            if (!video) return;
+
+            this.applySubtitles(video);
+            this.setupChapters(frame, video);
+
+            const toggle = frame.querySelector('.video-captions-toggle');
+            if (toggle) {
+                this.addEventListener(toggle, 'click', (e) => {
+                    e.stopPropagation();
+                    this.setSubtitles(!captionPreferences.areSubtitlesOn());
+                    toggle.blur();
+                });
+            }
+
+            // Changes made from the native controls (track menu)
+            this.addEventListener(video.textTracks, 'change', () => {
+                const showing = this.getSubtitleTrackElements(video)
+                    .find(trackEl => trackEl.track.mode === 'showing');
+                const isOn = Boolean(showing);
+
+                if (isOn === captionPreferences.areSubtitlesOn() &&
+                    (!showing || showing.srclang === captionPreferences.getSubtitlesLanguage())) {
+                    return; // Nothing new (or our own change)
+                }
+
+                if (showing) captionPreferences.setSubtitlesLanguage(showing.srclang);
+                this.setSubtitles(isOn);
+            });
+        });
+    }
+
+    getSubtitleTrackElements(video) {
+        return Array.from(video.querySelectorAll('track[kind="subtitles"]'));
+    }
+
+    setSubtitles(isOn) {
+        captionPreferences.setSubtitles(isOn);
+        if (!this.element) return;
+
+        this.element.querySelectorAll('.has-video-tracks video').forEach(video => {
+            this.applySubtitles(video);
+        });
+    }
+
+    /**
+     * Show the preferred language: last picked, then the browser's language,
+     * then the track marked "default" in the slide JSON, then the first one
+     */
+    applySubtitles(video) {
+        const trackEls = this.getSubtitleTrackElements(video);
+        if (trackEls.length === 0) return;
+
+        const isOn = captionPreferences.areSubtitlesOn();
+        let active = null;
+
+        if (isOn) {
+            const stored = captionPreferences.getSubtitlesLanguage();
+            const browser = (navigator.language || '').split('-')[0];
+            active = trackEls.find(trackEl => stored && trackEl.srclang === stored) ||
+                trackEls.find(trackEl => trackEl.srclang === browser) ||
+                trackEls.find(trackEl => trackEl.hasAttribute('data-default')) ||
+                trackEls[0];
+        }
+
+        trackEls.forEach(trackEl => {
+            trackEl.track.mode = trackEl === active ? 'showing' : 'disabled';
+        });
+
+        const toggle = video.closest('.has-video-tracks')?.querySelector('.video-captions-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', isOn);
+            toggle.setAttribute('aria-pressed', String(isOn));
+        }
+    }
+
+    /**
+     * Chapter menu: jump to a chapter, highlight the one playing.
+     * Chapters from a WebVTT file are listed once the file has loaded.
+     */
+    setupChapters(frame, video) {
+        const menu = frame.querySelector('.video-chapters');
+        if (!menu) return;
+
+        const toggle = menu.querySelector('.video-chapters-toggle');
+        const list = menu.querySelector('.video-chapters-list');
+
+        const setOpen = (isOpen) => {
+            list.hidden = !isOpen;
+            toggle.setAttribute('aria-expanded', String(isOpen));
+            toggle.classList.toggle('active', isOpen);
+        };
+
+        this.addEventListener(toggle, 'click', (e) => {
+            e.stopPropagation();
+            setOpen(list.hidden);
+        });
+
+        this.addEventListener(list, 'click', (e) => {
+            const chapter = e.target.closest('.video-chapter');
+            if (!chapter) return;
+
+            e.stopPropagation();
+            video.currentTime = parseFloat(chapter.dataset.time);
+            video.play().catch(() => {});
+            setOpen(false);
+        });
+
+        // Close on outside click or Escape
+        this.addEventListener(document, 'click', (e) => {
+            if (!list.hidden && !menu.contains(e.target)) {
+                setOpen(false);
+            }
+        });
+        this.addEventListener(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && !list.hidden) {
+                setOpen(false);
+            }
+        });
+
+        const chaptersTrack = video.querySelector('track.video-chapters-track');
+        if (chaptersTrack) {
+            // Cues only load for tracks that aren't disabled
+            chaptersTrack.track.mode = 'hidden';
+
+            const fillChapters = () => {
+                const cues = Array.from(chaptersTrack.track.cues || []);
+                list.innerHTML = renderChapterItems(
+                    cues.map(cue => ({ time: cue.startTime, title: cue.text }))
+                );
+            };
+
+            if (chaptersTrack.readyState === 2) {
+                fillChapters();
+            } else {
+                this.addEventListener(chaptersTrack, 'load', fillChapters);
+            }
+        }
+
+        this.addEventListener(video, 'timeupdate', () => {
+            const chapters = Array.from(list.querySelectorAll('.video-chapter'));
+            const current = chapters
+                .filter(chapter => parseFloat(chapter.dataset.time) <= video.currentTime + 0.25)
+                .pop();
+
+            chapters.forEach(chapter => {
+                if (chapter === current) {
+                    chapter.setAttribute('aria-current', 'true');
+                } else {
+                    chapter.removeAttribute('aria-current');
+                }
+            });
+        });
+    }
+
     initializeState(container) {
         // Initialize background color
         this.updateBackgroundForSlide(this.currentFlatIndex);
+
+        // Compare videos and live visualizations on the first slide
+        // (next frame, once the slider is in the document and has a size)
+        requestAnimationFrame(() => {
+            const groupIndex = this.slideMap[this.currentFlatIndex]?.groupIndex;
+            this.playCompareVideos(groupIndex);
+            this.updateVisualizations(groupIndex);
+            this.updateAutoScroll(this.currentFlatIndex);
+            this.updateTimelines(groupIndex);
+        });
         
         // If not at 0, update positions and controls
         if (this.currentFlatIndex > 0) {
@@ -656,14 +1946,8 @@ export class HorizontalSlider extends Component {
                          internalTrack.style.transition = 'none';
                          internalTrack.style.transform = `translateX(${internalOffset}%)`;
                          
-                         // Update TV Title
-                         if (currentGroup.mockupType === 'tv') {
-                             const titleEl = groupSlideEl.querySelector('.tv-title');
-                             if (titleEl) {
-                                 const currentSlide = currentGroup.slides[internalIndex];
-                                 titleEl.innerText = currentSlide.caption || currentSlide.alt || '';
-                             }
-                         }
+                         // Update bound chrome (TV title, browser URL)
+                         updateMockupChrome(groupSlideEl, currentGroup.slides[internalIndex]);
                     }
                 }
             }
@@ -738,14 +2022,8 @@ export class HorizontalSlider extends Component {
                     }
                     internalTrack.style.transform = `translateX(${offset}%)`;
 
-                    // Update TV Title
-                    if (currentGroup.mockupType === 'tv') {
-                        const titleEl = groupSlideEl.querySelector('.tv-title');
-                        if (titleEl) {
-                            const currentSlide = currentGroup.slides[internalIndex];
-                            titleEl.innerText = currentSlide.caption || currentSlide.alt || '';
-                        }
-                    }
+                    // Update bound chrome (TV title, browser URL)
+                    updateMockupChrome(groupSlideEl, currentGroup.slides[internalIndex]);
                 }
             }
         }
@@ -805,6 +2083,21 @@ export class HorizontalSlider extends Component {
         // Callback
         this.onSlideChange(flatIndex, this.rawSlides[flatIndex]);
 
+        // Screen reader caption announcement
+        this.announceSlide(flatIndex);
+
+        // Resume before/after videos on the new slide
+        this.playCompareVideos(groupIndex);
+
+        // Start/stop live visualizations
+        this.updateVisualizations(groupIndex);
+
+        // Start/stop auto-scrolling screenshots
+        this.updateAutoScroll(flatIndex);
+
+        // Replay timeline milestones
+        this.updateTimelines(groupIndex);
+
         // Update background color based on slide image
         this.updateBackgroundForSlide(flatIndex);
 
@@ -828,6 +2121,47 @@ export class HorizontalSlider extends Component {
         }
     }
 
+    /**
+     * Deck outline for the presenter window: slide titles, notes and a
+     * preview image per slide, the chapters and where we are
+     */
+    getPresenterSummary() {
+        return {
+            title: this.deck?.title || '',
+            slideIndex: this.currentFlatIndex,
+            sections: this.sections.map(({ title, startIndex, endIndex }) => ({ title, startIndex, endIndex })),
+            slides: this.rawSlides.map(slide => ({
+                type: slide.type,
+                title: stripInlineText(slide.title || slide.attribution || ''),
+                notes: slide.notes || '',
+                preview: this.getSlidePreview(slide)
+            }))
+        };
+    }
+
+    /**
+     * A still image that stands for the slide (videos and models only
+     * count if they have a poster or thumbnail)
+     */
+    getSlidePreview(slide) {
+        const media = /\.(mp4|webm|mov|glb|gltf)(\?|#|$)/i;
+        const candidates = [
+            slide.thumbnail,
+            slide.poster,
+            slide.titleImage,
+            slide.src,
+            ...(slide.images || []),
+            slide.before,
+            slide.avatar
+        ];
+
+        for (const candidate of candidates) {
+            const src = typeof candidate === 'string' ? candidate : candidate?.src;
+            if (src && !media.test(src)) return src;
+        }
+        return null;
+    }
+
     async updateBackgroundForSlide(index) {
         const slide = this.rawSlides[index];
         const body = document.body;
@@ -881,6 +2215,12 @@ export class HorizontalSlider extends Component {
         document.documentElement.style.removeProperty('--dominant-color');
 
         window.isVisualizationDragging = false;
+        this.disposeVisualizations();
+        this.autoScrollers.forEach(scroller => scroller.destroy());
+        this.autoScrollers.clear();
+        this.syncedVideoGroups.forEach(group => group.destroy());
+        this.syncedVideoGroups = [];
+        if (this.lightbox) this.lightbox.close();
         super.destroy();
     }
 }
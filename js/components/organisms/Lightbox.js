@@ -0,0 +1,372 @@
+/**
+ * Lightbox Component
+ * Fullscreen image viewer for gallery slides: wheel/pinch/double-tap zoom,
+ * drag to pan, swipe and arrow keys to page, Escape to close.
+ *
+ * While open, window.isLightboxOpen is set and wheel/touch events stop here,
+ * so neither the app (module navigation) nor the slider moves. Focus stays
+ * inside, and the keys the lightbox handles stop here too.
+ */
+
+import { Component } from '../Component.js';
+import { renderInlineText } from '../../utils/rich-text.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+const SWIPE_THRESHOLD = 60;
+
+export class Lightbox extends Component {
+    constructor(props) {
+        super(props);
+        this.images = props.images || [];
+        this.index = props.startIndex || 0;
+        this.onClose = props.onClose || (() => {});
+
+        this.scale = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = 0;
+        this.previousFocus = null;
+    }
+
+    render() {
+        const overlay = this.createElement('div', {
+            className: 'lightbox',
+            attributes: {
+                role: 'dialog',
+                'aria-modal': 'true',
+                'aria-label': 'Image viewer',
+                // Clicks on the image keep focus (and key events) in here
+                tabindex: '-1'
+            }
+        });
+
+        const hasMultiple = this.images.length > 1;
+
+        overlay.innerHTML = `
+            <div class="lightbox-stage">
+                <img class="lightbox-image" alt="" draggable="false">
+            </div>
+            <div class="lightbox-toolbar">
+                <span class="lightbox-counter" aria-live="polite"></span>
+                <button class="lightbox-button lightbox-zoom" aria-label="Zoom">
+                    <i class='bx bx-zoom-in'></i>
+                </button>
+                <button class="lightbox-button lightbox-close" aria-label="Close">
+                    <i class='bx bx-x'></i>
+                </button>
+            </div>
+            ${hasMultiple ? `
+            <button class="lightbox-button lightbox-nav lightbox-prev" aria-label="Previous image">
+                <i class='bx bx-chevron-left'></i>
+            </button>
+            <button class="lightbox-button lightbox-nav lightbox-next" aria-label="Next image">
+                <i class='bx bx-chevron-right'></i>
+            </button>
+            ` : ''}
+            <div class="lightbox-caption"></div>
+        `;
+
+        this.stage = overlay.querySelector('.lightbox-stage');
+        this.image = overlay.querySelector('.lightbox-image');
+        this.counter = overlay.querySelector('.lightbox-counter');
+        this.caption = overlay.querySelector('.lightbox-caption');
+
+        return overlay;
+    }
+
+    open() {
+        this.previousFocus = document.activeElement;
+        this.mount(document.body);
+        this.setupEventListeners();
+
+        window.isLightboxOpen = true;
+        document.body.classList.add('lightbox-open');
+
+        this.show(this.index);
+
+        requestAnimationFrame(() => {
+            if (!this.element) return;
+            this.element.classList.add('visible');
+            this.element.querySelector('.lightbox-close').focus();
+        });
+    }
+
+    close() {
+        if (!this.element || this.isClosing) return;
+        this.isClosing = true;
+
+        window.isLightboxOpen = false;
+        document.body.classList.remove('lightbox-open');
+
+        const element = this.element;
+        element.classList.remove('visible');
+
+        // Let the fade finish, then clean up
+        setTimeout(() => {
+            this.destroy();
+        }, 200);
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.onClose(this.index);
+    }
+
+    show(index) {
+        const count = this.images.length;
+        this.index = (index + count) % count;
+        const image = this.images[this.index];
+
+        this.resetZoom();
+        this.image.src = image.src;
+        this.image.alt = image.alt || '';
+        this.counter.textContent = count > 1 ? `${this.index + 1} / ${count}` : '';
+        this.caption.innerHTML = image.caption ? renderInlineText(image.caption) : '';
+        this.caption.hidden = !image.caption;
+
+        // Warm the cache for the neighbours
+        [this.index - 1, this.index + 1].forEach(i => {
+            const neighbour = this.images[(i + count) % count];
+            if (neighbour) new Image().src = neighbour.src;
+        });
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    previous() {
+        this.show(this.index - 1);
+    }
+
+    setupEventListeners() {
+        const el = this.element;
+
+        this.addEventListener(el.querySelector('.lightbox-close'), 'click', () => this.close());
+        this.addEventListener(el.querySelector('.lightbox-zoom'), 'click', () => {
+            this.zoomTo(this.scale > 1 ? 1 : 2.5);
+        });
+
+        const prev = el.querySelector('.lightbox-prev');
+        const next = el.querySelector('.lightbox-next');
+        if (prev) this.addEventListener(prev, 'click', () => this.previous());
+        if (next) this.addEventListener(next, 'click', () => this.next());
+
+        // Keys the lightbox handles don't reach the app/slider handlers
+        this.addEventListener(el, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.next();
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.previous();
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoomTo(this.scale * 1.5);
+            } else if (e.key === '-') {
+                this.zoomTo(this.scale / 1.5);
+            } else if (e.key === '0') {
+                this.zoomTo(1);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        // Wheel zooms around the cursor
+        this.addEventListener(el, 'wheel', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002));
+            this.zoomAt(this.scale * factor, e.clientX, e.clientY);
+        });
+
+        // Touch events stop here - pointer events below do the work
+        ['touchstart', 'touchmove', 'touchend'].forEach(eventName => {
+            this.addEventListener(el, eventName, (e) => e.stopPropagation());
+        });
+
+        this.addEventListener(this.stage, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.addEventListener(this.stage, 'pointermove', (e) => this.handlePointerMove(e));
+        this.addEventListener(this.stage, 'pointerup', (e) => this.handlePointerUp(e));
+        this.addEventListener(this.stage, 'pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    handlePointerDown(e) {
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.gestureMoved = false;
+
+        if (this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                scale: this.scale
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: this.scale > 1 ? 'pan' : 'swipe',
+                startX: e.clientX,
+                startY: e.clientY,
+                panX: this.panX,
+                panY: this.panY
+            };
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.gestureMoved = true;
+            this.zoomAt(this.gesture.scale * distance / this.gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+
+        const dx = e.clientX - this.gesture.startX;
+        const dy = e.clientY - this.gesture.startY;
+        if (Math.abs(dx) > 4 || Math.abs(dy) > 4) this.gestureMoved = true;
+
+        if (this.gesture.type === 'pan') {
+            this.panX = this.gesture.panX + dx;
+            this.panY = this.gesture.panY + dy;
+            this.applyTransform();
+        } else if (this.gesture.type === 'swipe') {
+            // Image follows the finger a little
+            this.image.style.transform = `translateX(${dx * 0.4}px)`;
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        // Pointer capture makes the stage the target - hit-test the image instead
+        const onImage = this.isOnImage(e.clientX, e.clientY);
+
+        if (gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.startX;
+            this.applyTransform();
+
+            if (Math.abs(dx) > SWIPE_THRESHOLD && this.images.length > 1) {
+                if (dx < 0) this.next(); else this.previous();
+            } else if (!this.gestureMoved) {
+                // Tap on the backdrop closes
+                if (onImage) this.handleTap(e); else this.close();
+            }
+        } else if (gesture.type === 'pan' && !this.gestureMoved && onImage) {
+            this.handleTap(e);
+        }
+
+        // Pinch → lift one finger: carry on panning with the other
+        if (this.pointers.size === 1 && this.scale > 1) {
+            const [remaining] = Array.from(this.pointers.values());
+            this.gesture = { type: 'pan', startX: remaining.x, startY: remaining.y, panX: this.panX, panY: this.panY };
+        } else if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+
+    isOnImage(x, y) {
+        const rect = this.image.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    }
+
+    /**
+     * Double tap/click toggles zoom at that point
+     */
+    handleTap(e) {
+        const now = Date.now();
+        if (now - this.lastTap < 300) {
+            this.lastTap = 0;
+            if (this.scale > 1) {
+                this.zoomTo(1);
+            } else {
+                this.zoomAt(2.5, e.clientX, e.clientY);
+            }
+            return;
+        }
+        this.lastTap = now;
+    }
+
+    zoomTo(scale) {
+        const rect = this.stage.getBoundingClientRect();
+        this.zoomAt(scale, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /**
+     * Zoom keeping the point under (clientX, clientY) in place
+     */
+    zoomAt(scale, clientX, clientY) {
+        const nextScale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        const rect = this.stage.getBoundingClientRect();
+        const pointX = clientX - (rect.left + rect.width / 2);
+        const pointY = clientY - (rect.top + rect.height / 2);
+        const ratio = nextScale / this.scale;
+
+        this.panX = pointX - (pointX - this.panX) * ratio;
+        this.panY = pointY - (pointY - this.panY) * ratio;
+        this.scale = nextScale;
+        this.applyTransform();
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.applyTransform();
+    }
+
+    /**
+     * Keep the image covering the stage while zoomed - no panning off into space
+     */
+    clampPan() {
+        if (this.scale <= 1) {
+            this.panX = 0;
+            this.panY = 0;
+            return;
+        }
+
+        const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.stage.clientWidth) / 2);
+        const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.stage.clientHeight) / 2);
+        this.panX = Math.min(maxX, Math.max(-maxX, this.panX));
+        this.panY = Math.min(maxY, Math.max(-maxY, this.panY));
+    }
+
+    applyTransform() {
+        this.clampPan();
+        this.image.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.scale})`;
+        this.element.classList.toggle('zoomed', this.scale > 1);
+
+        const zoomIcon = this.element.querySelector('.lightbox-zoom i');
+        if (zoomIcon) zoomIcon.className = `bx ${this.scale > 1 ? 'bx-zoom-out' : 'bx-zoom-in'}`;
+    }
+}
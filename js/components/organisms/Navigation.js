@@ -136,20 +136,5 @@ export class Navigation extends Component {
     getActiveItem() {
         return this.currentItemId;
     }
-
-    /**
-     * Set active from URL
-     */
-    setActiveFromUrl() {
-        const params = new URLSearchParams(window.location.search);
-        const experienceId = params.get('experience');
-        
-        if (experienceId) {
-            this.setActive(experienceId);
-            return experienceId;
-        }
-        
-        return null;
-    }
 }
 
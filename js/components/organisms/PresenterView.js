@@ -0,0 +1,317 @@
+/**
+ * Presenter View Component
+ * Second-screen view for pitching from the site (presenter.html): current
+ * and next slide, the slide's speaker notes, an elapsed timer and the
+ * deck's chapters. Follows the main window over the presenter channel and
+ * sends navigation back, so either window can drive.
+ *
+ * Keys: ←/→ (or a clicker's PageUp/PageDown) slides, ↑/↓ modules,
+ * T start/pause the timer, R reset it.
+ */
+
+import { Component } from '../Component.js';
+import { PresenterChannel } from '../../utils/presenter-channel.js';
+import { escapeHtml, renderRichText, stripInlineText } from '../../utils/rich-text.js';
+import { formatTime } from '../../utils/video-tracks.js';
+
+export class PresenterView extends Component {
+    constructor(props = {}) {
+        super(props);
+        this.channel = new PresenterChannel();
+        this.state = null;
+
+        // Elapsed timer (starts with the presenter window)
+        this.timerStart = Date.now();
+        this.timerElapsed = 0;
+        this.timerRunning = true;
+        this.timerInterval = null;
+    }
+
+    render() {
+        const view = this.createElement('div', { className: 'presenter-view' });
+
+        view.innerHTML = `
+            <header class="presenter-header">
+                <div class="presenter-heading">
+                    <span class="presenter-label">Presenting</span>
+                    <h1 class="presenter-module-title"></h1>
+                </div>
+                <div class="presenter-timer">
+                    <span class="presenter-elapsed" aria-live="off">0:00</span>
+                    <button type="button" class="presenter-button presenter-timer-toggle" aria-label="Pause timer" title="Pause timer (T)">
+                        <i class='bx bx-pause'></i>
+                    </button>
+                    <button type="button" class="presenter-button presenter-timer-reset" aria-label="Reset timer" title="Reset timer (R)">
+                        <i class='bx bx-reset'></i>
+                    </button>
+                </div>
+            </header>
+            <div class="presenter-body">
+                <section class="presenter-current">
+                    <h2 class="presenter-label">Now <span class="presenter-position"></span></h2>
+                    <div class="presenter-preview presenter-preview-current"></div>
+                </section>
+                <section class="presenter-next">
+                    <h2 class="presenter-label">Next</h2>
+                    <div class="presenter-preview presenter-preview-next"></div>
+                </section>
+                <section class="presenter-notes">
+                    <h2 class="presenter-label">Notes</h2>
+                    <div class="presenter-notes-content"></div>
+                </section>
+                <nav class="presenter-chapters" aria-label="Chapters">
+                    <h2 class="presenter-label">Chapters</h2>
+                    <ol class="presenter-chapter-list"></ol>
+                </nav>
+            </div>
+            <footer class="presenter-controls">
+                <button type="button" class="presenter-button presenter-prev-module" aria-label="Previous project" title="Previous project (↑)">
+                    <i class='bx bx-chevrons-up'></i>
+                </button>
+                <button type="button" class="presenter-button presenter-prev-slide" aria-label="Previous slide" title="Previous slide (←)">
+                    <i class='bx bx-chevron-left'></i>
+                </button>
+                <select class="presenter-module-select" aria-label="Jump to project"></select>
+                <button type="button" class="presenter-button presenter-next-slide" aria-label="Next slide" title="Next slide (→)">
+                    <i class='bx bx-chevron-right'></i>
+                </button>
+                <button type="button" class="presenter-button presenter-next-module" aria-label="Next project" title="Next project (↓)">
+                    <i class='bx bx-chevrons-down'></i>
+                </button>
+            </footer>
+            <div class="presenter-waiting">
+                <p>Waiting for the main window&hellip;</p>
+                <p class="presenter-waiting-hint">Open the site in another window and press <kbd>P</kbd>.</p>
+            </div>
+        `;
+
+        this.moduleTitle = view.querySelector('.presenter-module-title');
+        this.elapsedLabel = view.querySelector('.presenter-elapsed');
+        this.timerToggle = view.querySelector('.presenter-timer-toggle');
+        this.position = view.querySelector('.presenter-position');
+        this.currentPreview = view.querySelector('.presenter-preview-current');
+        this.nextPreview = view.querySelector('.presenter-preview-next');
+        this.notes = view.querySelector('.presenter-notes-content');
+        this.chapterList = view.querySelector('.presenter-chapter-list');
+        this.moduleSelect = view.querySelector('.presenter-module-select');
+
+        return view;
+    }
+
+    mount(parent) {
+        const element = super.mount(parent);
+        this.setupEventListeners();
+        this.updateView();
+
+        this.channel.on('state', (state) => {
+            this.state = state;
+            this.updateView();
+        });
+        this.channel.send('request-state');
+
+        this.timerInterval = setInterval(() => this.updateTimer(), 500);
+        return element;
+    }
+
+    setupEventListeners() {
+        const el = this.element;
+
+        this.addEventListener(el.querySelector('.presenter-prev-slide'), 'click', () => this.stepSlide(-1));
+        this.addEventListener(el.querySelector('.presenter-next-slide'), 'click', () => this.stepSlide(1));
+        this.addEventListener(el.querySelector('.presenter-prev-module'), 'click', () => this.stepModule(-1));
+        this.addEventListener(el.querySelector('.presenter-next-module'), 'click', () => this.stepModule(1));
+        this.addEventListener(this.timerToggle, 'click', () => this.toggleTimer());
+        this.addEventListener(el.querySelector('.presenter-timer-reset'), 'click', () => this.resetTimer());
+
+        this.addEventListener(this.moduleSelect, 'change', () => {
+            this.navigateToModule(parseInt(this.moduleSelect.value));
+            this.moduleSelect.blur();
+        });
+
+        this.addEventListener(this.chapterList, 'click', (e) => {
+            const chapter = e.target.closest('[data-slide]');
+            if (chapter) this.goToSlide(parseInt(chapter.dataset.slide));
+        });
+
+        this.addEventListener(document, 'keydown', (e) => {
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+            if (e.metaKey || e.ctrlKey || e.altKey) return;
+
+            const actions = {
+                ArrowRight: () => this.stepSlide(1),
+                PageDown: () => this.stepSlide(1),
+                ArrowLeft: () => this.stepSlide(-1),
+                PageUp: () => this.stepSlide(-1),
+                ArrowDown: () => this.stepModule(1),
+                ArrowUp: () => this.stepModule(-1),
+                t: () => this.toggleTimer(),
+                r: () => this.resetTimer()
+            };
+            const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+            if (!action) return;
+
+            e.preventDefault();
+            action();
+        });
+    }
+
+    // ========================================================================
+    // NAVIGATION (carried out by the main window)
+    // ========================================================================
+
+    goToSlide(index) {
+        this.channel.send('command', { action: 'goToSlide', index });
+    }
+
+    navigateToModule(index) {
+        this.channel.send('command', { action: 'navigateToModule', index });
+    }
+
+    /**
+     * Next/previous slide; past either end of a deck, on to the
+     * neighbouring project
+     */
+    stepSlide(step) {
+        if (!this.state) return;
+
+        const deck = this.state.deck;
+        const target = deck ? deck.slideIndex + step : -1;
+        if (deck && target >= 0 && target < deck.slides.length) {
+            this.goToSlide(target);
+        } else {
+            this.stepModule(step);
+        }
+    }
+
+    stepModule(step) {
+        if (!this.state || this.state.modules.length === 0) return;
+
+        const count = this.state.modules.length;
+        this.navigateToModule((this.state.moduleIndex + step + count) % count);
+    }
+
+    // ========================================================================
+    // TIMER
+    // ========================================================================
+
+    getElapsed() {
+        return this.timerElapsed + (this.timerRunning ? Date.now() - this.timerStart : 0);
+    }
+
+    toggleTimer() {
+        if (this.timerRunning) {
+            this.timerElapsed = this.getElapsed();
+            this.timerRunning = false;
+        } else {
+            this.timerStart = Date.now();
+            this.timerRunning = true;
+        }
+        this.updateTimer();
+    }
+
+    resetTimer() {
+        this.timerElapsed = 0;
+        this.timerStart = Date.now();
+        this.updateTimer();
+    }
+
+    updateTimer() {
+        this.elapsedLabel.textContent = formatTime(this.getElapsed() / 1000);
+
+        const label = this.timerRunning ? 'Pause timer' : 'Start timer';
+        this.timerToggle.setAttribute('aria-label', label);
+        this.timerToggle.title = `${label} (T)`;
+        this.timerToggle.querySelector('i').className = `bx ${this.timerRunning ? 'bx-pause' : 'bx-play'}`;
+        this.element.classList.toggle('timer-paused', !this.timerRunning);
+    }
+
+    // ========================================================================
+    // VIEW
+    // ========================================================================
+
+    updateView() {
+        const state = this.state;
+        this.element.classList.toggle('is-waiting', !state);
+        if (!state) return;
+
+        const module = state.modules[state.moduleIndex];
+        const deck = state.deck;
+        const slide = deck ? deck.slides[deck.slideIndex] : null;
+
+        this.moduleTitle.textContent = stripInlineText(deck?.title || module?.title || '');
+        this.position.textContent = deck ? `${deck.slideIndex + 1} / ${deck.slides.length}` : '';
+
+        this.currentPreview.innerHTML = slide
+            ? this.renderCard(slide)
+            : this.renderCard({ type: module?.type || 'visualization', title: module?.title || '' });
+        this.nextPreview.innerHTML = this.renderNext();
+
+        this.notes.innerHTML = slide?.notes
+            ? renderRichText(slide.notes)
+            : '<p class="presenter-empty">No notes for this slide.</p>';
+
+        this.renderChapters(deck);
+        this.renderModuleOptions();
+    }
+
+    renderNext() {
+        const { deck, modules, moduleIndex } = this.state;
+
+        if (deck && deck.slideIndex < deck.slides.length - 1) {
+            return this.renderCard(deck.slides[deck.slideIndex + 1]);
+        }
+
+        const nextModule = modules[(moduleIndex + 1) % modules.length];
+        return nextModule
+            ? this.renderCard({ type: nextModule.type || 'visualization', title: nextModule.title }, 'Next project')
+            : '';
+    }
+
+    renderCard(item, label = null) {
+        const type = label || (item.type || '').replace(/-/g, ' ');
+
+        return `
+            <div class="presenter-card ${item.preview ? 'has-preview' : ''}">
+                ${item.preview ? `<img class="presenter-card-image" src="${escapeHtml(item.preview)}" alt="">` : ''}
+                <div class="presenter-card-text">
+                    <span class="presenter-card-type">${escapeHtml(type)}</span>
+                    <span class="presenter-card-title">${escapeHtml(item.title || '')}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderChapters(deck) {
+        const sections = deck?.sections || [];
+        if (sections.length === 0) {
+            this.chapterList.innerHTML = '<li class="presenter-empty">No chapters</li>';
+            return;
+        }
+
+        this.chapterList.innerHTML = sections.map(section => {
+            const isCurrent = deck.slideIndex >= section.startIndex && deck.slideIndex <= section.endIndex;
+            return `
+                <li>
+                    <button type="button" class="presenter-chapter" data-slide="${section.startIndex}"${isCurrent ? ' aria-current="true"' : ''}>
+                        <span class="presenter-chapter-title">${escapeHtml(section.title)}</span>
+                        <span class="presenter-chapter-range">${section.startIndex + 1}&ndash;${section.endIndex + 1}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderModuleOptions() {
+        const { modules, moduleIndex } = this.state;
+
+        this.moduleSelect.innerHTML = modules.map((module, index) => `
+            <option value="${index}"${index === moduleIndex ? ' selected' : ''}>${escapeHtml(module.title)}</option>
+        `).join('');
+    }
+
+    destroy() {
+        clearInterval(this.timerInterval);
+        this.channel.close();
+        super.destroy();
+    }
+}
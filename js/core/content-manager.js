@@ -3,6 +3,7 @@
 import { HomePage } from '../pages/HomePage.js';
 import { Icon, Button, Text, HorizontalSlider } from '../components/index.js';
 import { contentRegistry } from '../utils/content-registry.js';
+import { router, getContentPath } from './router.js';
 
 export class ContentManager {
     constructor(headerElement, bodyElement, heroContainer) {
@@ -11,9 +12,11 @@ export class ContentManager {
         this.heroContainer = heroContainer;
         this.isTransitioning = false;
         this.currentModule = null; // Track current module for cleanup
+        this.currentItemId = null; // Track current item for in-place reloads
         this.homePage = null; // Track home page component
         this.spacerObserver = null; // Track mutation observer for spacer
         this.needsPageSpacer = false; // Track if current page needs spacer
+        this.onChange = null; // Called when new content loads or the slide changes (presenter sync)
     }
 
     /**
@@ -47,15 +50,16 @@ export class ContentManager {
 
     /**
      * Load content based on type
+     * initialSlide: flat index or URL anchor to open a deck at
      */
-    async loadContent(itemId, modulePathOrType, contentType = null, initialIndex = 0) {
+    async loadContent(itemId, modulePathOrType, contentType = null, initialSlide = 0) {
         // Determine content type
         const content = contentRegistry.get(itemId);
         const type = content?.type || contentType;
 
         // Route to appropriate loader
         if (type === 'case-study' || type === 'slide-deck') {
-            return this.loadSlideContent(itemId, content, initialIndex);
+            return this.loadSlideContent(itemId, content, initialSlide);
         } else {
             // Default: load as visualization module
             return this.loadExperience(itemId, modulePathOrType);
@@ -106,6 +110,7 @@ export class ContentManager {
 
             // Load new content
             this.currentModule = module;
+            this.currentItemId = itemId;
             if (module.render) {
                 const rendered = await module.render(this.bodyElement, itemId);
                 
@@ -122,6 +127,8 @@ export class ContentManager {
                 module.init(this.bodyElement);
             }
 
+            if (this.onChange) this.onChange();
+
         } catch (error) {
             this.showError(itemId, modulePath);
         } finally {
@@ -132,7 +139,7 @@ export class ContentManager {
     /**
      * Load slide-based content (case studies, about, etc.)
      */
-    async loadSlideContent(itemId, content, initialIndex = 0) {
+    async loadSlideContent(itemId, content, initialSlide = 0) {
         if (this.isTransitioning) {
             return;
         }
@@ -160,16 +167,12 @@ export class ContentManager {
             // Create horizontal slider
             const slider = new HorizontalSlider({
                 slides: data.slides || [],
-                initialIndex: initialIndex,
+                deck: data,
+                initialSlide: initialSlide,
                 onSlideChange: (index, slide) => {
-                    // Update URL with slide index
-                    const url = new URL(window.location);
-                    if (index > 0) {
-                        url.searchParams.set('slide', index);
-                    } else {
-                        url.searchParams.delete('slide');
-                    }
-                    window.history.replaceState({}, '', url);
+                    this.updateSlideUrl(itemId, slider, index);
+
+                    if (this.onChange) this.onChange();
                 }
             });
 
@@ -178,6 +181,14 @@ export class ContentManager {
             slider.element = sliderElement; // Store reference for later
 
             this.currentModule = slider;
+            this.currentItemId = itemId;
+
+            // Numbered and redirected links settle on the slide's own anchor
+            if (typeof initialSlide === 'string') {
+                this.updateSlideUrl(itemId, slider, slider.currentFlatIndex);
+            }
+
+            if (this.onChange) this.onChange();
 
         } catch (error) {
             console.error('Error loading slide content:', error);
@@ -187,6 +198,28 @@ export class ContentManager {
         }
     }
 
+    /**
+     * Point the URL at a deck's slide by its anchor (the first slide needs
+     * none). Anchors don't change when slides are added or reordered.
+     */
+    updateSlideUrl(itemId, slider, index) {
+        const anchor = index > 0 ? slider.getSlideAnchor(index) : null;
+        router.navigate(getContentPath(itemId, anchor), { replace: true });
+    }
+
+    /**
+     * Re-fetch and re-render the current slide deck in place
+     * Keeps the current slide index (used by live reload when JSON changes)
+     */
+    async reloadSlideContent() {
+        if (!(this.currentModule instanceof HorizontalSlider)) return;
+
+        const content = contentRegistry.get(this.currentItemId);
+        if (!content) return;
+
+        const slideIndex = this.currentModule.currentFlatIndex;
+        await this.loadSlideContent(this.currentItemId, content, slideIndex);
+    }
 
     /**
      * Show welcome/home page
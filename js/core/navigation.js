@@ -4,43 +4,17 @@
 import { Sidebar } from '../components/index.js';
 import { visualizationRegistry } from '../utils/visualization-registry.js';
 import { contentRegistry } from '../utils/content-registry.js';
+import { router, getContentId } from './router.js';
+
+// Visualizations come from their own registry rather than the content manifest
+contentRegistry.registerSource('visualizations', () => visualizationRegistry.getNavigationData());
 
 // Get navigation data with dynamic visualizations and content
-function getNavigationData() {
-    const caseStudies = contentRegistry.getByCategory('case-studies');
-    const aboutContent = contentRegistry.getByCategory('about');
-    
-    return [
-        {
-            id: 'about',
-            title: 'About',
-            icon: 'bx-user',
-            type: 'slide-deck',
-            dataPath: aboutContent[0]?.dataPath || '/data/about.json'
-        },
-        {
-            id: 'visualizations',
-            title: 'Vibes',
-            icon: 'bx-paint',
-            children: visualizationRegistry.getNavigationData()
-        },
-        {
-            id: 'case-studies',
-            title: 'Work Samples',
-            icon: 'bx-briefcase',
-            children: caseStudies.map(study => ({
-                id: study.id,
-                title: study.title,
-                type: study.type,
-                dataPath: study.dataPath
-            }))
-        }
-    ];
+// Driven entirely by data/index.json - call after contentRegistry.load()
+export function getNavigationData() {
+    return contentRegistry.getNavigationData();
 }
 
-// Export navigation data as a getter so it's always fresh
-export const navigationData = getNavigationData();
-
 /**
  * Navigation class (backwards compatible wrapper)
  * Wraps the new Sidebar component
@@ -98,13 +72,11 @@ export class Navigation {
     }
 
     setActiveFromUrl() {
-        if (this.sidebarComponent) {
-            const nav = this.sidebarComponent.getNavigation();
-            if (nav && typeof nav.setActiveFromUrl === 'function') {
-                return nav.setActiveFromUrl();
-            }
+        const itemId = getContentId(router.current);
+        if (itemId) {
+            this.setActive(itemId);
         }
-        return null;
+        return itemId;
     }
 
     destroy() {
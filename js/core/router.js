@@ -0,0 +1,294 @@
+/**
+ * Router
+ * Clean, path-based URLs for the site:
+ *
+ *   /                         home (a random visualization)
+ *   /vibes/forest             a visualization (registry id without "viz-")
+ *   /work/koko-ai             a case study...
+ *   /work/koko-ai/overview    ...opened at a slide anchor (see
+ *                             HorizontalSlider.createSlideAnchors)
+ *   /about, /contact          any other content, by id
+ *
+ * Old query links (?experience=koko-ai&slide=6) are redirected to their
+ * path; slide numbers (/work/koko-ai/7) still open through the deck's
+ * slideRedirects table. Other query parameters (?kiosk=1, ?screensaver=5)
+ * are kept.
+ *
+ * The app still does the loading itself - navigate() records where it
+ * went and runs the hooks: before hooks may cancel a navigation by
+ * returning false, after hooks see where it ended up.
+ */
+
+import { contentRegistry } from '../utils/content-registry.js';
+
+// Query parameters of the old URL scheme, dropped once redirected
+const LEGACY_PARAMS = ['experience', 'slide'];
+
+const VISUALIZATION_PREFIX = 'viz-';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class Router {
+    constructor() {
+        this.routes = [];
+        this.redirects = [];
+        this.beforeHooks = [];
+        this.afterHooks = [];
+        this.current = null;
+    }
+
+    // ========================================================================
+    // ROUTES
+    // ========================================================================
+
+    /**
+     * Register a route. Patterns are paths with :params; a trailing ?
+     * makes a param optional ('/work/:id/:slide?'). First match wins.
+     */
+    add(name, pattern) {
+        const keys = [];
+        const source = pattern.split('/').filter(Boolean).map(segment => {
+            if (!segment.startsWith(':')) return '/' + escapeRegExp(segment);
+
+            const isOptional = segment.endsWith('?');
+            keys.push(segment.slice(1, isOptional ? -1 : undefined));
+            return isOptional ? '(?:/([^/]+))?' : '/([^/]+)';
+        }).join('');
+
+        this.routes.push({ name, pattern, keys, regex: new RegExp(`^${source}/?$`) });
+        return this;
+    }
+
+    /**
+     * Map an old URL onto a new path. The handler gets a URL and returns a
+     * path, or null when it doesn't apply.
+     */
+    addRedirect(handler) {
+        this.redirects.push(handler);
+        return this;
+    }
+
+    /**
+     * Route for a path, or null. Malformed escapes (/work/%E0) match
+     * nothing, so they end up wherever unknown paths go.
+     */
+    match(pathname) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
+
+            const params = {};
+            try {
+                route.keys.forEach((key, index) => {
+                    const value = match[index + 1];
+                    if (value !== undefined) params[key] = decodeURIComponent(value);
+                });
+            } catch (error) {
+                return null;
+            }
+            return { name: route.name, params, path: pathname };
+        }
+        return null;
+    }
+
+    /**
+     * Path for a named route; missing optional params are left off
+     */
+    build(name, params = {}) {
+        const route = this.routes.find(r => r.name === name);
+        if (!route) throw new Error(`Unknown route: ${name}`);
+
+        const segments = route.pattern.split('/').filter(Boolean).map(segment => {
+            if (!segment.startsWith(':')) return segment;
+
+            const key = segment.replace(/^:|\?$/g, '');
+            const value = params[key];
+            if (value === undefined || value === null || value === '') {
+                if (segment.endsWith('?')) return null;
+                throw new Error(`Missing route param "${key}" for ${name}`);
+            }
+            return encodeURIComponent(value);
+        }).filter(segment => segment !== null);
+
+        return '/' + segments.join('/');
+    }
+
+    /**
+     * Route for a URL (string or Location), following redirects
+     */
+    resolve(target = window.location.href) {
+        const url = new URL(String(target), window.location.origin);
+
+        for (const redirect of this.redirects) {
+            const path = redirect(url);
+            if (path) {
+                const route = this.match(path);
+                if (route) return { ...route, redirected: true };
+            }
+        }
+
+        return this.match(url.pathname);
+    }
+
+    /**
+     * Full URL for a path, keeping the current query (minus the old scheme's
+     * parameters)
+     */
+    toUrl(path) {
+        const url = new URL(path, window.location.origin);
+        const params = new URLSearchParams(window.location.search);
+        LEGACY_PARAMS.forEach(param => params.delete(param));
+        url.search = params.toString();
+        return url;
+    }
+
+    // ========================================================================
+    // HOOKS
+    // ========================================================================
+
+    /**
+     * hook(to, from) runs before each navigation; returning false cancels
+     * it. Returns an unsubscribe function.
+     */
+    beforeEach(hook) {
+        this.beforeHooks.push(hook);
+        return () => {
+            this.beforeHooks = this.beforeHooks.filter(h => h !== hook);
+        };
+    }
+
+    /**
+     * hook(to, from) runs after each navigation. Returns an unsubscribe
+     * function.
+     */
+    afterEach(hook) {
+        this.afterHooks.push(hook);
+        return () => {
+            this.afterHooks = this.afterHooks.filter(h => h !== hook);
+        };
+    }
+
+    async runBeforeHooks(to, from) {
+        for (const hook of this.beforeHooks) {
+            if (await hook(to, from) === false) return false;
+        }
+        return true;
+    }
+
+    runAfterHooks(to, from) {
+        this.afterHooks.forEach(hook => hook(to, from));
+    }
+
+    // ========================================================================
+    // NAVIGATION
+    // ========================================================================
+
+    /**
+     * Settle on the route the page was opened with, rewriting old query
+     * links to their path
+     */
+    start() {
+        this.current = this.resolve();
+
+        if (this.current?.redirected) {
+            window.history.replaceState({}, '', this.toUrl(this.current.path));
+        }
+        return this.current;
+    }
+
+    /**
+     * Record a navigation in the history (replace for in-place updates such
+     * as the slide changing). Resolves to the new route, or null if a hook
+     * cancelled it or nothing matched.
+     */
+    async navigate(path, { replace = false } = {}) {
+        const to = this.match(path);
+        if (!to) return null;
+
+        const from = this.current;
+        if (!(await this.runBeforeHooks(to, from))) return null;
+
+        // Same place again (e.g. nav click then transition) - no new entry
+        const url = this.toUrl(to.path);
+        const isSame = url.href === window.location.href;
+        window.history[replace || isSame ? 'replaceState' : 'pushState']({}, '', url);
+
+        this.current = to;
+        this.runAfterHooks(to, from);
+        return to;
+    }
+
+    /**
+     * Call handler(route) on browser back/forward
+     */
+    listen(handler) {
+        window.addEventListener('popstate', async () => {
+            const to = this.resolve();
+            const from = this.current;
+
+            if (!to || !(await this.runBeforeHooks(to, from))) {
+                // Cancelled - put the address back
+                if (from) window.history.pushState({}, '', this.toUrl(from.path));
+                return;
+            }
+
+            this.current = to;
+            await handler(to);
+            this.runAfterHooks(to, from);
+        });
+    }
+}
+
+// ============================================================================
+// SITE ROUTES
+// ============================================================================
+
+export const router = new Router()
+    .add('home', '/')
+    .add('visualization', '/vibes/:name')
+    .add('work', '/work/:id/:slide?')
+    .add('page', '/:id/:slide?');
+
+// ?experience=koko-ai&slide=6 -> /work/koko-ai/7 (old slide indexes were 0-based)
+router.addRedirect(url => {
+    const id = url.searchParams.get('experience');
+    if (!id) return null;
+
+    const index = parseInt(url.searchParams.get('slide'), 10);
+    return getContentPath(id, index > 0 ? String(index + 1) : null);
+});
+
+/**
+ * Path for a module (visualization, case study, page), optionally at a
+ * slide anchor
+ */
+export function getContentPath(id, slide = null) {
+    const content = contentRegistry.get(id);
+
+    if (!content) {
+        return router.build('visualization', { name: id.replace(VISUALIZATION_PREFIX, '') });
+    }
+    if (content.category === 'case-studies') {
+        return router.build('work', { id, slide });
+    }
+    return router.build('page', { id, slide });
+}
+
+/**
+ * Module id a route points at (null for home)
+ */
+export function getContentId(route) {
+    if (!route) return null;
+
+    switch (route.name) {
+        case 'visualization':
+            return VISUALIZATION_PREFIX + route.params.name;
+        case 'work':
+        case 'page':
+            return route.params.id;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,16 @@
+// Presenter window entry point (presenter.html)
+// Speaker notes, timer and previews for whatever the main window is showing
+
+import { PresenterView } from './components/organisms/PresenterView.js';
+
+// Follow the site's theme, including changes made in the main window
+const applyTheme = () => {
+    document.documentElement.setAttribute('data-theme', localStorage.getItem('theme') || 'dark');
+};
+applyTheme();
+window.addEventListener('storage', (e) => {
+    if (e.key === 'theme') applyTheme();
+});
+
+const presenter = new PresenterView();
+presenter.mount(document.getElementById('presenter'));
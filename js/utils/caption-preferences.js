@@ -0,0 +1,90 @@
+/**
+ * Caption Preferences
+ * Remembers whether image captions are shown, globally and per deck.
+ *
+ * Resolution order for a deck:
+ * 1. Per-deck choice made by the visitor (Shift+C)
+ * 2. The deck's own `"captions": true|false` field
+ * 3. The global choice (C / caption button), on by default
+ *
+ * Also remembers video subtitles (WebVTT tracks) - off by default, one
+ * setting for every deck, along with the last language picked.
+ */
+
+const STORAGE_KEY = 'motion-grammar-captions';
+const SUBTITLES_KEY = 'motion-grammar-subtitles';
+const SUBTITLES_LANGUAGE_KEY = 'motion-grammar-subtitles-language';
+
+export class CaptionPreferences {
+    isVisible(deckId, deckDefault) {
+        const deckChoice = deckId ? this.read(`${STORAGE_KEY}:${deckId}`) : null;
+        if (deckChoice !== null) return deckChoice;
+        if (typeof deckDefault === 'boolean') return deckDefault;
+
+        const globalChoice = this.read(STORAGE_KEY);
+        return globalChoice === null ? true : globalChoice;
+    }
+
+    /**
+     * Apply to every deck. Clears the current deck's own override so the
+     * global choice takes effect immediately.
+     */
+    setGlobal(visible, deckId = null) {
+        this.write(STORAGE_KEY, visible);
+        if (deckId) this.remove(`${STORAGE_KEY}:${deckId}`);
+    }
+
+    setForDeck(deckId, visible) {
+        if (!deckId) return;
+        this.write(`${STORAGE_KEY}:${deckId}`, visible);
+    }
+
+    areSubtitlesOn() {
+        return this.read(SUBTITLES_KEY) === true;
+    }
+
+    setSubtitles(on) {
+        this.write(SUBTITLES_KEY, on);
+    }
+
+    getSubtitlesLanguage() {
+        try {
+            return localStorage.getItem(SUBTITLES_LANGUAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setSubtitlesLanguage(language) {
+        this.write(SUBTITLES_LANGUAGE_KEY, language);
+    }
+
+    read(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value === null ? null : value === 'true';
+        } catch (e) {
+            // Storage unavailable (private mode etc.)
+            return null;
+        }
+    }
+
+    write(key, visible) {
+        try {
+            localStorage.setItem(key, String(visible));
+        } catch (e) {
+            // Ignore - preference just won't persist
+        }
+    }
+
+    remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            // Ignore
+        }
+    }
+}
+
+// Export singleton instance
+export const captionPreferences = new CaptionPreferences();
@@ -1,134 +1,161 @@
 /**
  * Content Registry
  * Central registry for all content types and their configurations
+ *
+ * Content is discovered from the data/index.json manifest rather than
+ * registered by hand. Adding a project means adding its JSON file and one
+ * manifest entry (or running `npm run content:index` to regenerate it).
+ *
+ * Manifest entry fields:
+ * - id, type, title, category, dataPath (or inline data)
+ * - order: number (optional) - ascending sort within a category
+ * - hidden: boolean (optional) - draft, not loadable at all
+ * - unlisted: boolean (optional) - loadable by direct link, not in navigation
+ * - publishDate: ISO date (optional) - treated as hidden until this date
  */
 
+const MANIFEST_PATH = '/data/index.json';
+
 export class ContentRegistry {
     constructor() {
         this.content = new Map();
-        this.initialize();
+        this.navigation = [];
+        this.sources = new Map();
+        this.loadPromise = null;
     }
 
-    initialize() {
-        // Case Studies
-        this.register({
-            type: 'case-study',
-            id: 'oneover-com',
-            title: 'OneOver.com',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/oneover-com.json'
-        });
-
-        this.register({
-            type: 'case-study',
-            id: 'nano-banana',
-            title: 'Nano Banana Apps',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/nano-banana.json'
-        });
-
-        this.register({
-            type: 'case-study',
-            id: 'lexus-com',
-            title: 'Lexus.com',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/lexus-com.json'
-        });
-
-        this.register({
-            type: 'case-study',
-            id: 'lexus-april-fools',
-            title: 'Lexus April Fools',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/lexus-april-fools.json'
-        });
-
-        this.register({
-            type: 'case-study',
-            id: 'koko-ai',
-            title: 'Koko AI',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/koko-ai.json'
-        });
+    /**
+     * Load and register everything from the manifest
+     * Safe to call multiple times - the manifest is only fetched once
+     */
+    load(manifestPath = MANIFEST_PATH) {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchManifest(manifestPath)
+                .then(manifest => this.initialize(manifest))
+                .catch(error => {
+                    console.error('Failed to load content manifest:', error);
+                });
+        }
+        return this.loadPromise;
+    }
 
-        this.register({
-            type: 'case-study',
-            id: 'generative-works',
-            title: 'Generative Works',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/generative-works.json'
-        });
+    async fetchManifest(manifestPath) {
+        const response = await fetch(manifestPath);
+        if (!response.ok) throw new Error(`Failed to load ${manifestPath}`);
+        return response.json();
+    }
 
-        this.register({
-            type: 'case-study',
-            id: 'more-work',
-            title: 'More Work',
-            category: 'case-studies',
-            dataPath: '/data/case-studies/more-work.json'
-        });
+    initialize(manifest = {}) {
+        this.content.clear();
+        this.navigation = manifest.navigation || [];
 
-        // About
-        this.register({
-            type: 'slide-deck',
-            id: 'about',
-            title: 'About',
-            category: 'about',
-            dataPath: '/data/about.json'
-        });
-
-        // Contact
-        this.register({
-            type: 'contact',
-            id: 'contact',
-            title: 'Contact',
-            category: 'contact',
-            data: {
-                email: 'jon@motiongrammar.com',
-                linkedin: 'https://www.linkedin.com/in/jonruppel/',
-                twitter: 'https://twitter.com/jonruppel'
+        (manifest.content || []).forEach(item => {
+            if (this.isPublished(item)) {
+                this.register(item);
             }
         });
     }
 
+    /**
+     * Hidden entries and entries with a future publish date are drafts
+     */
+    isPublished(item, now = new Date()) {
+        if (item.hidden) return false;
+        if (item.publishDate) {
+            const publishDate = new Date(item.publishDate);
+            if (!isNaN(publishDate) && publishDate > now) return false;
+        }
+        return true;
+    }
+
     register(config) {
         this.content.set(config.id, config);
     }
 
+    /**
+     * Register a provider for navigation groups whose items don't come from
+     * the manifest (e.g. `"source": "visualizations"`)
+     * @param {string} name - Source name referenced by the manifest
+     * @param {Function} provider - Returns an array of navigation items
+     */
+    registerSource(name, provider) {
+        this.sources.set(name, provider);
+    }
+
     get(id) {
         return this.content.get(id);
     }
 
     getByCategory(category) {
-        return Array.from(this.content.values())
-            .filter(item => item.category === category);
+        return this.sortItems(Array.from(this.content.values())
+            .filter(item => item.category === category));
     }
 
     getAll() {
         return Array.from(this.content.values());
     }
 
+    /**
+     * Order by explicit `order`, then newest publish date, then title
+     */
+    sortItems(items) {
+        return items.slice().sort((a, b) => {
+            const orderA = a.order ?? Number.MAX_SAFE_INTEGER;
+            const orderB = b.order ?? Number.MAX_SAFE_INTEGER;
+            if (orderA !== orderB) return orderA - orderB;
+
+            const dateA = a.publishDate ? Date.parse(a.publishDate) : 0;
+            const dateB = b.publishDate ? Date.parse(b.publishDate) : 0;
+            if (dateA !== dateB) return dateB - dateA;
+
+            return (a.title || '').localeCompare(b.title || '');
+        });
+    }
+
     getNavigationData() {
-        // Group content by category for navigation
-        const categories = {
-            'case-studies': [],
-            'about': [],
-            'contact': []
-        };
-
-        this.content.forEach(item => {
-            if (categories[item.category]) {
-                categories[item.category].push({
+        // Build navigation groups from the manifest's navigation section
+        return this.navigation.map(group => {
+            // Standalone item (e.g. About)
+            if (group.item) {
+                const item = this.get(group.item);
+                if (!item) return null;
+                return {
                     id: item.id,
-                    title: item.title,
-                    type: item.type
-                });
+                    title: group.title || item.title,
+                    icon: group.icon,
+                    type: item.type,
+                    dataPath: item.dataPath
+                };
             }
-        });
 
-        return categories;
+            // Items supplied by another registry
+            if (group.source) {
+                const provider = this.sources.get(group.source);
+                return {
+                    id: group.id,
+                    title: group.title,
+                    icon: group.icon,
+                    children: provider ? provider() : []
+                };
+            }
+
+            // Content grouped by category
+            return {
+                id: group.id,
+                title: group.title,
+                icon: group.icon,
+                children: this.getByCategory(group.category || group.id)
+                    .filter(item => !item.unlisted)
+                    .map(item => ({
+                        id: item.id,
+                        title: item.title,
+                        type: item.type,
+                        dataPath: item.dataPath
+                    }))
+            };
+        }).filter(Boolean);
     }
 }
 
 // Export singleton instance
 export const contentRegistry = new ContentRegistry();
-
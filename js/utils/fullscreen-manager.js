@@ -1,14 +1,38 @@
 /**
  * UI Layer Manager
  * Manages visibility of UI layer (logo, nav, theme toggle)
- * Auto-hides on mouse inactivity
+ * Auto-hides on mouse inactivity; can be locked hidden (kiosk mode)
+ *
+ * Optional screensaver: after a longer stretch without any input it calls
+ * back (the app moves on to another visualization) and starts counting
+ * again. Turned on with ?screensaver=<minutes>; it stops while the tab
+ * is hidden.
  */
 
+const SCREENSAVER_DEFAULT_MINUTES = 5;
+
+/**
+ * Screensaver delay in ms from the URL, or null when it's off
+ */
+export function getScreensaverDelay() {
+    const value = new URLSearchParams(window.location.search).get('screensaver');
+    if (value === null || value === '0' || value === 'false') return null;
+
+    const minutes = parseFloat(value);
+    return (minutes > 0 ? minutes : SCREENSAVER_DEFAULT_MINUTES) * 60 * 1000;
+}
+
 class UILayerManager {
     constructor() {
         this.isUiHidden = false;
         this.uiHideTimer = null;
         this.uiHideDelay = 3000; // 3 seconds for UI hide
+        this.isLocked = false; // Locked UI stays hidden whatever the user does
+
+        // Screensaver (off until enableScreensaver)
+        this.screensaverDelay = null;
+        this.screensaverTimer = null;
+        this.onScreensaver = null;
         
         this.setupMouseActivity();
     }
@@ -19,16 +43,27 @@ class UILayerManager {
             // Show UI when mouse moves
             this.showUI();
             this.scheduleUIHide();
+            this.scheduleScreensaver();
         });
 
         // Handle touch interaction (mobile)
         document.addEventListener('touchstart', () => {
             this.showUI();
             this.scheduleUIHide();
+            this.scheduleScreensaver();
         }, { passive: true });
+
+        // Keyboard and wheel don't bring the UI up but do count as activity
+        document.addEventListener('keydown', () => this.scheduleScreensaver());
+        document.addEventListener('wheel', () => this.scheduleScreensaver(), { passive: true });
+
+        // No screensaver for a tab nobody can see
+        document.addEventListener('visibilitychange', () => this.scheduleScreensaver());
     }
 
     showUI() {
+        if (this.isLocked) return;
+
         if (this.isUiHidden) {
             const uiLayer = document.querySelector('.ui-layer');
             const sidebar = document.querySelector('.sidebar');
@@ -91,6 +126,24 @@ class UILayerManager {
         }
     }
 
+    /**
+     * Hide the UI for good (or give it back). Locked, the mouse and touch
+     * no longer bring it up, and CSS keeps the sidebar, pagination and
+     * menu toggle out of sight too.
+     */
+    setLocked(isLocked) {
+        this.isLocked = isLocked;
+        document.body.classList.toggle('ui-locked', isLocked);
+
+        if (isLocked) {
+            clearTimeout(this.uiHideTimer);
+            this.hideUI();
+        } else {
+            this.showUI();
+            this.scheduleUIHide();
+        }
+    }
+
     scheduleUIHide() {
         // Clear existing timer
         if (this.uiHideTimer) {
@@ -102,6 +155,36 @@ class UILayerManager {
             this.hideUI();
         }, this.uiHideDelay);
     }
+
+    /**
+     * Call onIdle after delay ms without input, and again after each
+     * further delay while the page stays idle
+     */
+    enableScreensaver(delay, onIdle) {
+        this.screensaverDelay = delay;
+        this.onScreensaver = onIdle;
+        this.scheduleScreensaver();
+    }
+
+    disableScreensaver() {
+        clearTimeout(this.screensaverTimer);
+        this.screensaverDelay = null;
+        this.onScreensaver = null;
+    }
+
+    scheduleScreensaver() {
+        clearTimeout(this.screensaverTimer);
+        if (!this.onScreensaver || document.hidden) return;
+
+        this.screensaverTimer = setTimeout(async () => {
+            try {
+                await this.onScreensaver();
+            } catch (error) {
+                console.error('Screensaver failed to advance:', error);
+            }
+            this.scheduleScreensaver();
+        }, this.screensaverDelay);
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,163 @@
+/**
+ * Kiosk Mode
+ * Attract mode for events and office screens (?kiosk=1): cycles through
+ * every module on its own, paging through each deck's slides, with the
+ * music playing unmuffled and the UI chrome hidden for good.
+ *
+ * Any input pauses the cycle; it picks up again once the screen has been
+ * left alone for a while.
+ *
+ * Dwell times are in seconds and can be overridden from the URL:
+ * ?kiosk=1&vizDwell=60&slideDwell=10&pageDwell=20&resumeAfter=45
+ */
+
+import { uiLayerManager } from './fullscreen-manager.js';
+
+const KIOSK_DEFAULTS = {
+    vizDwell: 45,     // Visualizations
+    slideDwell: 8,    // Each slide of a deck (case studies, slide decks, about)
+    pageDwell: 20,    // Anything else (contact)
+    resumeAfter: 30   // Idle time before the cycle resumes after input
+};
+
+const INPUT_EVENTS = ['keydown', 'pointerdown', 'mousemove', 'wheel', 'touchstart'];
+
+export function isKioskRequested() {
+    const value = new URLSearchParams(window.location.search).get('kiosk');
+    return value !== null && value !== '0' && value !== 'false';
+}
+
+/**
+ * Defaults, overridden by any positive number given in the URL
+ */
+export function getKioskSettings() {
+    const params = new URLSearchParams(window.location.search);
+
+    return Object.fromEntries(Object.entries(KIOSK_DEFAULTS).map(([key, fallback]) => {
+        const value = parseFloat(params.get(key));
+        return [key, (value > 0 ? value : fallback) * 1000];
+    }));
+}
+
+export class KioskMode {
+    constructor(app) {
+        this.app = app;
+        this.settings = getKioskSettings();
+        this.isRunning = false;
+        this.isPaused = false;
+        this.advanceTimer = null;
+        this.resumeTimer = null;
+
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        uiLayerManager.setLocked(true);
+        document.body.classList.add('kiosk-mode');
+
+        // Keep the music going at full fidelity. Browsers may hold playback
+        // until the first interaction; the player's unlock handles that.
+        const player = this.app.musicPlayer;
+        if (player) {
+            player.setMuffled(false);
+            if (!player.isPlaying) player.play();
+        }
+
+        INPUT_EVENTS.forEach(type => {
+            document.addEventListener(type, this.handleInput, { capture: true, passive: true });
+        });
+
+        this.scheduleAdvance();
+    }
+
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.advanceTimer);
+        clearTimeout(this.resumeTimer);
+
+        INPUT_EVENTS.forEach(type => {
+            document.removeEventListener(type, this.handleInput, { capture: true });
+        });
+
+        document.body.classList.remove('kiosk-mode', 'kiosk-paused');
+        uiLayerManager.setLocked(false);
+    }
+
+    // ========================================================================
+    // CYCLE
+    // ========================================================================
+
+    /**
+     * The horizontal slider of the current deck, if a deck is showing
+     */
+    getSlider() {
+        const current = this.app.contentManager?.currentModule;
+        return current && typeof current.goToSlide === 'function' && current.rawSlides ? current : null;
+    }
+
+    getDwell() {
+        if (this.getSlider()) return this.settings.slideDwell;
+
+        const module = this.app.modules[this.app.currentModuleIndex];
+        const isVisualization = module && (!module.type || module.type === 'visualization');
+        return isVisualization ? this.settings.vizDwell : this.settings.pageDwell;
+    }
+
+    scheduleAdvance(delay = this.getDwell()) {
+        clearTimeout(this.advanceTimer);
+        this.advanceTimer = setTimeout(() => this.advance(), delay);
+    }
+
+    /**
+     * Next slide of the current deck; after its last slide (or on a
+     * visualization or page), the next module
+     */
+    async advance() {
+        if (!this.isRunning || this.isPaused) return;
+
+        // Something is still animating - try again shortly
+        if (this.app.isTransitioning || window.isLightboxOpen) {
+            this.scheduleAdvance(1000);
+            return;
+        }
+
+        const slider = this.getSlider();
+        if (slider && slider.currentFlatIndex < slider.rawSlides.length - 1) {
+            slider.goToNext();
+        } else {
+            // Replace, so a day of advancing doesn't pile up history
+            await this.app.navigateToNext({ replace: true });
+        }
+
+        if (this.isRunning && !this.isPaused) {
+            this.scheduleAdvance();
+        }
+    }
+
+    // ========================================================================
+    // PAUSE ON INPUT
+    // ========================================================================
+
+    handleInput() {
+        if (!this.isRunning) return;
+
+        this.isPaused = true;
+        document.body.classList.add('kiosk-paused');
+        clearTimeout(this.advanceTimer);
+
+        // Every input restarts the idle countdown
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.resume(), this.settings.resumeAfter);
+    }
+
+    resume() {
+        if (!this.isRunning) return;
+
+        this.isPaused = false;
+        document.body.classList.remove('kiosk-paused');
+        this.scheduleAdvance();
+    }
+}
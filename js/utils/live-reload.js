@@ -0,0 +1,114 @@
+/**
+ * Live Reload Client
+ * Dev-only companion to `node server.js --dev` (npm run dev).
+ * Listens for file change notifications over Server-Sent Events and applies
+ * each change in the least disruptive way:
+ * - styles/*.css        → hot-swap the matching stylesheet, no reload
+ * - data/*.json         → re-render the current deck, keeping the slide index
+ * - js/*.js             → full reload, staying on the current experience
+ */
+
+import { contentRegistry } from './content-registry.js';
+import { router, getContentPath, getContentId } from '../core/router.js';
+
+export class LiveReload {
+    constructor(app, endpoint) {
+        this.app = app;
+        this.endpoint = endpoint;
+        this.source = null;
+
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') return;
+
+        this.source = new EventSource(this.endpoint);
+        this.source.addEventListener('change', (e) => {
+            try {
+                this.handleChange(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Live reload: failed to apply change', error);
+            }
+        });
+    }
+
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    handleChange(change) {
+        switch (change.kind) {
+            case 'css':
+                this.reloadStylesheet(change.path, change.time);
+                break;
+            case 'data':
+                this.reloadData(change.path);
+                break;
+            case 'js':
+                this.reloadPage();
+                break;
+            default:
+                // Images, audio etc. - picked up on next load
+                break;
+        }
+    }
+
+    /**
+     * Swap a <link rel="stylesheet"> for a cache-busted copy.
+     * The old sheet is removed only once the new one has loaded so the page
+     * never flashes unstyled.
+     */
+    reloadStylesheet(changedPath, version = Date.now()) {
+        const links = document.querySelectorAll('link[rel="stylesheet"]');
+
+        links.forEach(link => {
+            const url = new URL(link.href, window.location.href);
+            if (url.origin !== window.location.origin || url.pathname !== changedPath) return;
+
+            const replacement = link.cloneNode();
+            url.searchParams.set('v', version);
+            replacement.href = url.pathname + url.search;
+
+            const removeOld = () => link.remove();
+            replacement.addEventListener('load', removeOld, { once: true });
+            replacement.addEventListener('error', removeOld, { once: true });
+
+            link.after(replacement);
+        });
+    }
+
+    /**
+     * Re-render the current deck if the changed JSON belongs to it.
+     * Other decks will fetch fresh data the next time they are opened.
+     */
+    async reloadData(changedPath) {
+        const contentManager = this.app.contentManager;
+        if (!contentManager || !contentManager.currentItemId) return;
+
+        const content = contentRegistry.get(contentManager.currentItemId);
+        if (!content || !content.dataPath) return;
+
+        const dataPathname = new URL(content.dataPath, window.location.href).pathname;
+        if (dataPathname !== changedPath) return;
+
+        await contentManager.reloadSlideContent();
+    }
+
+    /**
+     * Full reload for script changes. Pins the current experience in the URL
+     * first so we don't land on a different random visualization.
+     */
+    async reloadPage() {
+        const currentModule = this.app.modules[this.app.currentModuleIndex];
+
+        if (currentModule && !getContentId(router.current)) {
+            await router.navigate(getContentPath(currentModule.id), { replace: true });
+        }
+
+        window.location.reload();
+    }
+}
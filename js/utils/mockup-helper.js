@@ -1,108 +1,197 @@
 /**
  * Mockup Helper
- * Utilities for creating device mockups (iPhone, Laptop, TV)
+ * Builds device mockups from their mockup-registry definitions
+ *
+ * Screens can carry prototype hotspots - clickable regions that jump to
+ * another screen:
+ *   { "src": "...", "hotspots": [
+ *       { "x": 10, "y": 82, "width": 80, "height": 8,   // percent of the image
+ *         "target": "checkout",                          // slide id, or screen index in this mockup
+ *         "transition": "fade",                          // slide | fade | slide-up | none
+ *         "label": "Open checkout" }
+ *   ] }
  */
 
-/**
- * Create iPhone Mockup Structure
- * @param {Array} contentArray - Array of content sources
- * @returns {HTMLElement} The mockup element
- */
-export function createIPhoneMockup(contentArray) {
-    const mockup = document.createElement('div');
-    mockup.className = 'iphone-mockup';
-
-    const frame = document.createElement('div');
-    frame.className = 'iphone-frame';
+import { mockupRegistry } from './mockup-registry.js';
 
-    // Notch (hidden by default in CSS but structure exists)
-    const notch = document.createElement('div');
-    notch.className = 'iphone-notch';
-    frame.appendChild(notch);
+export const HOTSPOT_TRANSITIONS = ['slide', 'fade', 'slide-up', 'none'];
 
-    // Status Bar (hidden by default)
-    const statusBar = document.createElement('div');
-    statusBar.className = 'iphone-status-bar';
-    frame.appendChild(statusBar);
-
-    const screen = document.createElement('div');
-    screen.className = 'iphone-screen';
-
-    const content = document.createElement('div');
-    content.className = 'iphone-content';
-    
-    screen.appendChild(content);
-    
-    // Home Indicator (hidden by default)
-    const homeIndicator = document.createElement('div');
-    homeIndicator.className = 'iphone-home-indicator';
-    screen.appendChild(homeIndicator);
+/**
+ * Create a screen image with its hotspot layer
+ * Hotspots are positioned relative to the image so they scroll with it
+ * @param {Object|string} screen - Image path or { src, alt, hotspots }
+ * @returns {HTMLElement} The screen element
+ */
+export function createMockupScreen(screen) {
+    const { src, alt = 'Case study image', hotspots = [] } =
+        typeof screen === 'string' ? { src: screen } : screen;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'mockup-screen-image';
+
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt;
+    img.loading = 'lazy';
+    img.draggable = false;
+    wrapper.appendChild(img);
+
+    if (Array.isArray(hotspots) && hotspots.length > 0) {
+        wrapper.classList.add('has-hotspots');
+        hotspots.forEach(hotspot => wrapper.appendChild(createHotspot(hotspot)));
+    }
+
+    return wrapper;
+}
 
-    frame.appendChild(screen);
-    mockup.appendChild(frame);
+function createHotspot(hotspot) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'mockup-hotspot';
+    button.style.left = `${hotspot.x || 0}%`;
+    button.style.top = `${hotspot.y || 0}%`;
+    button.style.width = `${hotspot.width || 10}%`;
+    button.style.height = `${hotspot.height || 5}%`;
+
+    button.dataset.target = String(hotspot.target ?? '');
+    button.dataset.transition = HOTSPOT_TRANSITIONS.includes(hotspot.transition)
+        ? hotspot.transition
+        : 'slide';
+    button.setAttribute('aria-label', hotspot.label || 'Go to next screen');
+
+    return button;
+}
 
-    return mockup;
+/**
+ * Fill a mockup's content area with screens (used for standalone mockups;
+ * composite mockup slides build their own internal track)
+ */
+function appendScreens(content, contentArray = []) {
+    contentArray.forEach(screen => {
+        if (screen) content.appendChild(createMockupScreen(screen));
+    });
 }
 
 /**
- * Create Laptop Mockup Structure
- * @param {Array} contentArray - Array of content sources
- * @returns {HTMLElement} The mockup element
+ * Create a device mockup from its registry definition
+ * @param {string} type - Device id (slide type), e.g. 'iphone', 'tablet'
+ * @param {Array} contentArray - Array of image paths or { src, alt, hotspots } screens
+ * @returns {HTMLElement|null} The mockup element (null for unknown devices)
  */
-export function createLaptopMockup(contentArray) {
-    const mockup = document.createElement('div');
-    mockup.className = 'laptop-mockup';
+export function createMockup(type, contentArray = []) {
+    const device = mockupRegistry.get(type);
+    if (!device) {
+        console.warn(`Mockup: unknown device "${type}"`);
+        return null;
+    }
+
+    const prefix = device.className;
+    const chromeAt = position => device.chrome
+        .filter(item => item.position === position)
+        .map(createChromeElement);
 
-    const frameWrapper = document.createElement('div');
-    frameWrapper.className = 'laptop-frame-wrapper';
+    const mockup = document.createElement('div');
+    mockup.className = `${prefix}-mockup device-mockup`;
+    mockup.dataset.device = device.id;
 
     const frame = document.createElement('div');
-    frame.className = 'laptop-frame';
+    frame.className = `${prefix}-frame device-frame`;
+    if (device.geometry) {
+        mockup.classList.add('device-mockup-generic');
+        applyGeometry(frame, device.geometry);
+    }
 
     const screen = document.createElement('div');
-    screen.className = 'laptop-screen';
+    screen.className = `${prefix}-screen device-screen`;
 
     const content = document.createElement('div');
-    content.className = 'laptop-content';
+    content.className = `${prefix}-content device-content`;
+    content.dataset.scroll = device.scroll;
+    appendScreens(content, contentArray);
 
+    chromeAt('screen-start').forEach(el => screen.appendChild(el));
     screen.appendChild(content);
+    chromeAt('screen-end').forEach(el => screen.appendChild(el));
+
+    chromeAt('frame-start').forEach(el => frame.appendChild(el));
     frame.appendChild(screen);
-    frameWrapper.appendChild(frame);
-    mockup.appendChild(frameWrapper);
 
-    const base = document.createElement('div');
-    base.className = 'laptop-base';
-    mockup.appendChild(base);
+    chromeAt('mockup-start').forEach(el => mockup.appendChild(el));
+    if (device.wrapFrame) {
+        const wrapper = document.createElement('div');
+        wrapper.className = device.wrapFrame;
+        wrapper.appendChild(frame);
+        mockup.appendChild(wrapper);
+    } else {
+        mockup.appendChild(frame);
+    }
+    chromeAt('mockup-end').forEach(el => mockup.appendChild(el));
 
     return mockup;
 }
 
+function createChromeElement(item) {
+    const el = document.createElement('div');
+    el.className = item.className;
+    if (item.bind) el.dataset.bind = item.bind;
+    (item.children || []).forEach(child => el.appendChild(createChromeElement(child)));
+    return el;
+}
+
 /**
- * Create TV Mockup Structure
- * @param {Array} contentArray - Array of content sources
- * @returns {HTMLElement} The mockup element
+ * Geometry → CSS variables used by styles/components/device-mockup.css
  */
-export function createTVMockup(contentArray) {
-    const mockup = document.createElement('div');
-    mockup.className = 'tv-mockup';
-    
-    // Title Element (New)
-    const title = document.createElement('div');
-    title.className = 'tv-title';
-    mockup.appendChild(title);
-
-    const frame = document.createElement('div');
-    frame.className = 'tv-frame';
+function applyGeometry(frame, geometry) {
+    const [ratioW, ratioH] = geometry.aspectRatio || [16, 10];
+    const [top, right, bottom, left] = geometry.inset || [0, 0, 0, 0];
+
+    frame.classList.add('device-frame-generic');
+    frame.style.setProperty('--device-width', `${geometry.width}px`);
+    frame.style.setProperty('--device-aspect-ratio', `${ratioW} / ${ratioH}`);
+    // Keep the whole device on screen: width limited by viewport height too
+    frame.style.setProperty('--device-max-width', `calc(70vh * ${+(ratioW / ratioH).toFixed(4)})`);
+    frame.style.setProperty('--device-radius', `${geometry.radius || 0}px`);
+    frame.style.setProperty('--device-inset', `${top}px ${right}px ${bottom}px ${left}px`);
+    frame.style.setProperty('--device-screen-radius', `${geometry.screenRadius || 0}px`);
+}
 
-    const screen = document.createElement('div');
-    screen.className = 'tv-screen';
+/**
+ * Fill bound chrome (TV title, browser URL bar) from a slide
+ */
+export function updateMockupChrome(mockup, slide = {}) {
+    if (!mockup) return;
+    mockup.querySelectorAll('[data-bind]').forEach(el => {
+        if (el.dataset.bind === 'caption') {
+            el.innerText = slide.caption || slide.alt || '';
+        } else if (el.dataset.bind === 'url') {
+            el.innerText = slide.url || '';
+        }
+    });
+}
 
-    const content = document.createElement('div');
-    content.className = 'tv-content';
+/**
+ * Create iPhone Mockup Structure
+ * @param {Array} contentArray - Array of image paths or { src, alt, hotspots } screens
+ * @returns {HTMLElement} The mockup element
+ */
+export function createIPhoneMockup(contentArray) {
+    return createMockup('iphone', contentArray);
+}
 
-    screen.appendChild(content);
-    frame.appendChild(screen);
-    mockup.appendChild(frame);
+/**
+ * Create Laptop Mockup Structure
+ * @param {Array} contentArray - Array of image paths or { src, alt, hotspots } screens
+ * @returns {HTMLElement} The mockup element
+ */
+export function createLaptopMockup(contentArray) {
+    return createMockup('laptop', contentArray);
+}
 
-    return mockup;
+/**
+ * Create TV Mockup Structure
+ * @param {Array} contentArray - Array of content sources
+ * @returns {HTMLElement} The mockup element
+ */
+export function createTVMockup(contentArray) {
+    return createMockup('tv', contentArray);
 }
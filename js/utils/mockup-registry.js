@@ -0,0 +1,195 @@
+/**
+ * Mockup Registry
+ * Device mockups defined as data - add a device by adding one entry here.
+ * Any slide whose "type" matches a device id is rendered inside that device,
+ * and consecutive slides of the same device share one frame.
+ *
+ * Entry fields:
+ * - id: slide type (e.g. 'iphone')
+ * - className: class prefix for the generated elements
+ *   (<prefix>-mockup, <prefix>-frame, <prefix>-screen, <prefix>-content)
+ * - geometry (optional): frame size, screen inset and corner radii, applied
+ *   as CSS variables for styles/components/device-mockup.css. Devices with a
+ *   stylesheet of their own (iPhone, laptop, TV) leave this out.
+ * - chrome: extra elements and where they go
+ *   (mockup-start | frame-start | screen-start | screen-end | mockup-end).
+ *   `bind: 'caption' | 'url'` fills the element from the current slide.
+ * - wrapFrame (optional): class for a wrapper element around the frame
+ * - scroll: 'vertical' (long screenshots scroll inside the screen) or 'none'
+ * - media: what the screen can show - 'image', 'video'
+ *
+ * New device ids also need adding to the slide "type" enum in
+ * schemas/content.schema.json so `npm run validate` accepts them.
+ */
+
+// ============================================================================
+// ADD NEW DEVICES HERE
+// ============================================================================
+const MOCKUP_MANIFEST = [
+    {
+        id: 'iphone',
+        title: 'iPhone',
+        className: 'iphone',
+        chrome: [
+            { className: 'iphone-notch', position: 'frame-start' },
+            { className: 'iphone-status-bar', position: 'frame-start' },
+            { className: 'iphone-home-indicator', position: 'screen-end' }
+        ],
+        scroll: 'vertical',
+        media: ['image']
+    },
+    {
+        id: 'laptop',
+        title: 'Laptop',
+        className: 'laptop',
+        wrapFrame: 'laptop-frame-wrapper',
+        chrome: [
+            { className: 'laptop-base', position: 'mockup-end' }
+        ],
+        scroll: 'vertical',
+        media: ['image']
+    },
+    {
+        id: 'tv',
+        title: 'TV',
+        className: 'tv',
+        chrome: [
+            { className: 'tv-title', position: 'mockup-start', bind: 'caption' }
+        ],
+        scroll: 'none',
+        media: ['video', 'image']
+    },
+    {
+        id: 'tablet',
+        title: 'Tablet',
+        className: 'tablet',
+        geometry: {
+            width: 560,
+            aspectRatio: [3, 4],
+            radius: 36,
+            inset: [20, 20, 20, 20],
+            screenRadius: 16
+        },
+        chrome: [
+            { className: 'tablet-camera', position: 'frame-start' }
+        ],
+        scroll: 'vertical',
+        media: ['image', 'video']
+    },
+    {
+        id: 'watch',
+        title: 'Watch',
+        className: 'watch',
+        geometry: {
+            width: 230,
+            aspectRatio: [23, 28],
+            radius: 58,
+            inset: [16, 16, 16, 16],
+            screenRadius: 44
+        },
+        chrome: [
+            { className: 'watch-band watch-band-top', position: 'mockup-start' },
+            { className: 'watch-crown', position: 'frame-start' },
+            { className: 'watch-button', position: 'frame-start' },
+            { className: 'watch-band watch-band-bottom', position: 'mockup-end' }
+        ],
+        scroll: 'vertical',
+        media: ['image']
+    },
+    {
+        id: 'browser',
+        title: 'Browser',
+        className: 'browser',
+        geometry: {
+            width: 1000,
+            aspectRatio: [16, 10],
+            radius: 10,
+            inset: [40, 0, 0, 0],
+            screenRadius: 0
+        },
+        chrome: [
+            {
+                className: 'browser-toolbar',
+                position: 'frame-start',
+                children: [
+                    { className: 'browser-dots' },
+                    { className: 'browser-url', bind: 'url' }
+                ]
+            }
+        ],
+        scroll: 'vertical',
+        media: ['image', 'video']
+    },
+    {
+        id: 'car',
+        title: 'In-Car Display',
+        className: 'car',
+        geometry: {
+            width: 1000,
+            aspectRatio: [8, 3],
+            radius: 28,
+            inset: [18, 18, 18, 18],
+            screenRadius: 14
+        },
+        chrome: [
+            { className: 'car-dash', position: 'mockup-end' }
+        ],
+        scroll: 'none',
+        media: ['image', 'video']
+    }
+    // Add more devices here as needed!
+];
+// ============================================================================
+
+class MockupRegistry {
+    constructor() {
+        this.devices = new Map();
+    }
+
+    /**
+     * Initialize the registry with all devices from the manifest
+     */
+    initialize() {
+        MOCKUP_MANIFEST.forEach(device => this.register(device));
+    }
+
+    register(device) {
+        this.devices.set(device.id, {
+            chrome: [],
+            scroll: 'vertical',
+            media: ['image'],
+            ...device
+        });
+    }
+
+    /**
+     * Get device definition by ID (slide type)
+     */
+    get(id) {
+        return this.devices.get(id);
+    }
+
+    /**
+     * Check if a slide type is a device mockup
+     */
+    has(id) {
+        return this.devices.has(id);
+    }
+
+    /**
+     * Get all device IDs
+     */
+    getIds() {
+        return Array.from(this.devices.keys());
+    }
+
+    getAll() {
+        return Array.from(this.devices.values());
+    }
+}
+
+// Export singleton instance
+export const mockupRegistry = new MockupRegistry();
+
+// Auto-initialize on import
+mockupRegistry.initialize();
@@ -0,0 +1,370 @@
+/**
+ * Model Viewer
+ * glTF/GLB inspection for "model" slides: orbit controls, auto-rotate,
+ * lighting presets and a background that follows the site theme.
+ * Same lifecycle as the visualizations (pause/resume/dispose), so the
+ * slider mounts it lazily and only the active slide renders.
+ *
+ * Loaded on demand - decks without models never download three.js.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+
+export const MODEL_VIEWER_SETTINGS = {
+    autoRotate: true,
+    autoRotateSpeed: 1.0,
+    // Seconds after the visitor lets go before auto-rotate picks up again
+    autoRotateResumeDelay: 3,
+    lighting: 'studio',
+    background: 'var(--color-bg-secondary)',
+    camera: {
+        fov: 35,
+        // Distance from the model, as a multiple of its bounding sphere radius
+        distance: 2.6,
+        // Viewing angle: degrees around (azimuth) and above (elevation) the model
+        azimuth: 35,
+        elevation: 20
+    }
+};
+
+// Lighting presets - environment gives reflections for paint/metal/glass
+export const LIGHTING_PRESETS = {
+    studio: {
+        environment: true,
+        exposure: 1.0,
+        lights: [
+            { type: 'hemisphere', color: 0xffffff, groundColor: 0x444444, intensity: 0.6 },
+            { type: 'directional', color: 0xffffff, intensity: 2.0, position: [5, 10, 7] },
+            { type: 'directional', color: 0xffffff, intensity: 0.6, position: [-6, 3, -5] }
+        ]
+    },
+    soft: {
+        environment: true,
+        exposure: 1.1,
+        lights: [
+            { type: 'ambient', color: 0xffffff, intensity: 1.2 },
+            { type: 'hemisphere', color: 0xffffff, groundColor: 0xbbbbbb, intensity: 0.8 }
+        ]
+    },
+    outdoor: {
+        environment: false,
+        exposure: 1.0,
+        lights: [
+            { type: 'hemisphere', color: 0xbfd9ff, groundColor: 0x6b5a44, intensity: 1.4 },
+            { type: 'directional', color: 0xfff1dc, intensity: 3.0, position: [8, 12, 4] }
+        ]
+    },
+    dramatic: {
+        environment: false,
+        exposure: 1.2,
+        lights: [
+            { type: 'ambient', color: 0xffffff, intensity: 0.1 },
+            { type: 'directional', color: 0xffffff, intensity: 4.0, position: [-8, 6, 2] },
+            // Rim light from behind
+            { type: 'directional', color: 0x9ec5ff, intensity: 2.5, position: [4, 3, -8] }
+        ]
+    }
+};
+
+export class ModelViewer {
+    constructor(container, slide = {}) {
+        this.container = container;
+        this.src = slide.src;
+        this.settings = {
+            ...MODEL_VIEWER_SETTINGS,
+            ...(slide.autoRotate !== undefined ? { autoRotate: Boolean(slide.autoRotate) } : {}),
+            ...(typeof slide.autoRotate === 'number' ? { autoRotateSpeed: slide.autoRotate } : {}),
+            ...(slide.lighting ? { lighting: slide.lighting } : {}),
+            ...(slide.background ? { background: slide.background } : {}),
+            camera: { ...MODEL_VIEWER_SETTINGS.camera, ...(slide.camera || {}) }
+        };
+
+        this.isPaused = false;
+        this.animationId = null;
+        this.resumeRotateTimeout = null;
+        this.model = null;
+
+        this.init();
+    }
+
+    init() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'model-viewer-canvas';
+        this.container.appendChild(this.canvas);
+
+        const rect = this.container.getBoundingClientRect();
+        const width = rect.width || 1;
+        const height = rect.height || 1;
+
+        const preset = LIGHTING_PRESETS[this.settings.lighting] || LIGHTING_PRESETS.studio;
+
+        this.scene = new THREE.Scene();
+
+        this.camera = new THREE.PerspectiveCamera(this.settings.camera.fov, width / height, 0.01, 1000);
+
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            alpha: true,
+            antialias: true
+        });
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = preset.exposure;
+
+        this.lastWidth = width;
+        this.lastHeight = height;
+
+        this.applyBackground();
+        this.applyLighting(preset);
+
+        // Orbit controls - auto-rotate steps aside while the visitor drags
+        this.controls = new OrbitControls(this.camera, this.canvas);
+        this.controls.enableDamping = true;
+        this.controls.enablePan = false;
+        this.controls.autoRotate = this.settings.autoRotate;
+        this.controls.autoRotateSpeed = this.settings.autoRotateSpeed;
+
+        this.handleControlStart = () => {
+            clearTimeout(this.resumeRotateTimeout);
+            this.controls.autoRotate = false;
+        };
+        this.handleControlEnd = () => {
+            if (!this.settings.autoRotate) return;
+            clearTimeout(this.resumeRotateTimeout);
+            this.resumeRotateTimeout = setTimeout(() => {
+                if (this.controls) this.controls.autoRotate = true;
+            }, this.settings.autoRotateResumeDelay * 1000);
+        };
+        this.controls.addEventListener('start', this.handleControlStart);
+        this.controls.addEventListener('end', this.handleControlEnd);
+
+        // Handle resize
+        this.handleResize = this.onResize.bind(this);
+        window.addEventListener('resize', this.handleResize);
+
+        // Listen for theme changes
+        this.handleThemeChange = this.onThemeChange.bind(this);
+        window.addEventListener('themechange', this.handleThemeChange);
+
+        this.animate();
+    }
+
+    /**
+     * Load the glTF/GLB file. Resolves with the viewer once the model is in
+     * the scene, or with null if the viewer was disposed first; on failure
+     * the viewer disposes itself (the poster stays).
+     */
+    load(onProgress = null) {
+        const loader = new GLTFLoader();
+
+        return new Promise((resolve, reject) => {
+            loader.load(
+                this.src,
+                (gltf) => {
+                    // Disposed while loading - nothing to show it in
+                    if (!this.scene) {
+                        this.disposeObject(gltf.scene);
+                        resolve(null);
+                        return;
+                    }
+
+                    this.model = gltf.scene;
+                    this.scene.add(this.model);
+                    this.frameModel();
+                    resolve(this);
+                },
+                (event) => {
+                    if (onProgress && event.lengthComputable) {
+                        onProgress(event.loaded / event.total);
+                    }
+                },
+                (error) => {
+                    this.dispose();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Center the model and place the camera to fit it
+     */
+    frameModel() {
+        const box = new THREE.Box3().setFromObject(this.model);
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const radius = sphere.radius || 1;
+
+        this.model.position.sub(sphere.center);
+
+        const { distance, azimuth, elevation } = this.settings.camera;
+        const theta = THREE.MathUtils.degToRad(azimuth);
+        const phi = THREE.MathUtils.degToRad(elevation);
+        const cameraDistance = radius * distance;
+
+        this.camera.position.set(
+            cameraDistance * Math.cos(phi) * Math.sin(theta),
+            cameraDistance * Math.sin(phi),
+            cameraDistance * Math.cos(phi) * Math.cos(theta)
+        );
+        this.camera.near = radius / 100;
+        this.camera.far = radius * 100;
+        this.camera.updateProjectionMatrix();
+
+        this.controls.target.set(0, 0, 0);
+        this.controls.minDistance = radius * 1.1;
+        this.controls.maxDistance = radius * 8;
+        this.controls.update();
+    }
+
+    applyLighting(preset) {
+        if (preset.environment) {
+            this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+            this.environment = this.pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+            this.scene.environment = this.environment;
+        }
+
+        preset.lights.forEach(config => {
+            let light;
+            if (config.type === 'hemisphere') {
+                light = new THREE.HemisphereLight(config.color, config.groundColor, config.intensity);
+            } else if (config.type === 'directional') {
+                light = new THREE.DirectionalLight(config.color, config.intensity);
+                light.position.set(...config.position);
+            } else {
+                light = new THREE.AmbientLight(config.color, config.intensity);
+            }
+            this.scene.add(light);
+        });
+    }
+
+    applyBackground() {
+        if (this.settings.background === 'transparent') {
+            this.scene.background = null;
+            return;
+        }
+        this.scene.background = this.parseCSSColor(this.settings.background);
+    }
+
+    onThemeChange() {
+        this.applyBackground();
+        if (this.isPaused && this.renderer) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    parseCSSColor(cssValue) {
+        // Handle theme-specific color objects
+        if (typeof cssValue === 'object' && cssValue !== null) {
+            const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
+            return this.parseCSSColor(cssValue[currentTheme] || cssValue.light || cssValue.dark || '#000000');
+        }
+
+        if (cssValue.startsWith('var(--')) {
+            const varName = cssValue.replace('var(', '').replace(')', '').trim();
+            const computedValue = getComputedStyle(document.documentElement).getPropertyValue(varName);
+            if (computedValue) {
+                return new THREE.Color(computedValue.trim());
+            }
+        }
+
+        return new THREE.Color(cssValue);
+    }
+
+    animate() {
+        if (this.isPaused) return;
+
+        this.animationId = requestAnimationFrame(() => this.animate());
+        this.controls.update();
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    pause() {
+        this.isPaused = true;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    resume() {
+        if (!this.isPaused || !this.renderer) return;
+        this.isPaused = false;
+
+        // Size may have changed while off screen
+        const rect = this.container.getBoundingClientRect();
+        if (Math.round(rect.width) !== Math.round(this.lastWidth) ||
+            Math.round(rect.height) !== Math.round(this.lastHeight)) {
+            this.onResize();
+        }
+
+        this.animate();
+    }
+
+    onResize() {
+        if (!this.container || !this.renderer) return;
+
+        const rect = this.container.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        this.camera.aspect = rect.width / rect.height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(rect.width, rect.height);
+        this.renderer.render(this.scene, this.camera);
+
+        this.lastWidth = rect.width;
+        this.lastHeight = rect.height;
+    }
+
+    dispose() {
+        if (!this.scene) return;
+
+        this.pause();
+        clearTimeout(this.resumeRotateTimeout);
+
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('themechange', this.handleThemeChange);
+
+        if (this.controls) {
+            this.controls.removeEventListener('start', this.handleControlStart);
+            this.controls.removeEventListener('end', this.handleControlEnd);
+            this.controls.dispose();
+        }
+
+        this.disposeObject(this.scene);
+
+        if (this.environment) this.environment.dispose();
+        if (this.pmremGenerator) this.pmremGenerator.dispose();
+
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+
+        this.scene = null;
+        this.controls = null;
+        this.renderer = null;
+    }
+
+    /**
+     * Geometry, materials and their textures
+     */
+    disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.filter(Boolean).forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Presenter Channel
+ * Links the site (audience window) with the presenter window
+ * (presenter.html) over a BroadcastChannel. The audience window broadcasts
+ * its state whenever the module or slide changes; the presenter sends
+ * navigation commands back, so either window can drive.
+ *
+ * Messages:
+ * - 'state'          audience -> presenter: { modules, moduleIndex, deck } (null when closing)
+ * - 'request-state'  presenter -> audience: ask for a fresh 'state'
+ * - 'command'        presenter -> audience: { action: 'goToSlide' | 'navigateToModule', index }
+ */
+
+const CHANNEL_NAME = 'motion-grammar-presenter';
+
+export function isPresenterSupported() {
+    return typeof window !== 'undefined' && 'BroadcastChannel' in window;
+}
+
+export class PresenterChannel {
+    constructor() {
+        this.handlers = new Map();
+        this.channel = isPresenterSupported() ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                const { type, payload } = event.data || {};
+                (this.handlers.get(type) || []).forEach(handler => handler(payload));
+            };
+        }
+    }
+
+    /**
+     * Listen for a message type; returns an unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(handler);
+
+        return () => {
+            this.handlers.set(type, this.handlers.get(type).filter(h => h !== handler));
+        };
+    }
+
+    send(type, payload = null) {
+        if (this.channel) {
+            this.channel.postMessage({ type, payload });
+        }
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.handlers.clear();
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Rich Text Helpers
+ * Lightweight inline formatting for short strings such as captions and
+ * credits. Input is escaped first, so content JSON can't inject markup.
+ *
+ * Supported inline syntax:
+ * - **bold**, *italic* (or _italic_), `code`
+ * - [link text](https://example.com)
+ *
+ * Longer slide copy (content, description) is Markdown via renderRichText:
+ * paragraphs, headings, lists, blockquotes and the inline syntax above.
+ * HTML is still accepted there, but only whitelisted tags and attributes
+ * survive the sanitizer.
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+export function escapeHtml(text = '') {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Only http(s), mailto and site-relative links are allowed
+ */
+export function isSafeUrl(url) {
+    return /^(https?:\/\/|mailto:|\/(?!\/)|#)/i.test(url);
+}
+
+/**
+ * URL for a src/poster attribute: escaped, and empty unless it is a safe
+ * URL or a relative path ("images/foo.png")
+ */
+export function escapeUrl(url = '') {
+    const value = String(url ?? '').trim();
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(value);
+    if (hasScheme ? !isSafeUrl(value) : value.startsWith('//')) return '';
+    return escapeHtml(value);
+}
+
+export function isExternalUrl(url) {
+    return /^https?:\/\//i.test(url) && !url.startsWith(window.location.origin);
+}
+
+export function renderInlineText(text = '') {
+    if (!text) return '';
+
+    return formatInline(escapeHtml(text));
+}
+
+function formatInline(html) {
+    return html
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            // URL was escaped along with everything else - undo for the check
+            const rawUrl = url.replace(/&amp;/g, '&');
+            if (!isSafeUrl(rawUrl)) return label;
+            const external = isExternalUrl(rawUrl)
+                ? ' target="_blank" rel="noopener noreferrer"'
+                : '';
+            return `<a href="${url}"${external}>${label}</a>`;
+        });
+}
+
+/**
+ * Plain-text version for screen reader announcements and titles
+ */
+export function stripInlineText(text = '') {
+    return String(text)
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/(\*\*|\*|`)/g, '')
+        .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1$2');
+}
+
+/**
+ * URL-safe name for a title ("The *New* Lexus.com" -> "the-new-lexus-com")
+ */
+export function slugify(text = '') {
+    return stripInlineText(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+// Allowed tags and the attributes each may keep
+const ALLOWED_TAGS = {
+    A: ['href', 'title', 'target', 'rel'],
+    B: [],
+    BLOCKQUOTE: [],
+    BR: [],
+    CODE: [],
+    EM: [],
+    H2: [],
+    H3: [],
+    H4: [],
+    HR: [],
+    I: [],
+    LI: [],
+    OL: [],
+    P: [],
+    SPAN: ['class'],
+    STRONG: [],
+    UL: []
+};
+
+// Removed together with everything inside them; other unknown tags are
+// unwrapped and keep their text
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'SVG', 'MATH', 'TITLE'];
+
+// Lines that are already HTML blocks pass through untouched
+const HTML_BLOCK = /^<\/?(p|div|ul|ol|li|h[1-6]|blockquote|hr)\b/i;
+
+/**
+ * Markdown (with optional inline HTML) -> sanitized HTML
+ */
+export function renderRichText(text = '') {
+    if (!text) return '';
+
+    return sanitizeHtml(renderMarkdown(String(text)));
+}
+
+function renderMarkdown(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .filter(Boolean)
+        .map(renderBlock)
+        .join('');
+}
+
+function renderBlock(block) {
+    const lines = block.split('\n');
+
+    // # Heading - slide titles are h1, so headings start at h2
+    const heading = lines[0].match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+        const level = Math.min(heading[1].length + 1, 4);
+        const rest = lines.slice(1).join('\n');
+        return `<h${level}>${formatMarkdownInline(heading[2])}</h${level}>${rest ? renderBlock(rest) : ''}`;
+    }
+
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(block)) return '<hr>';
+
+    if (lines.every(line => /^[-*+]\s+/.test(line))) {
+        return `<ul>${lines.map(line => `<li>${formatMarkdownInline(line.replace(/^[-*+]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+
+    if (lines.every(line => /^\d+[.)]\s+/.test(line))) {
+        return `<ol>${lines.map(line => `<li>${formatMarkdownInline(line.replace(/^\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+    }
+
+    if (lines.every(line => line.startsWith('>'))) {
+        return `<blockquote>${renderMarkdown(lines.map(line => line.replace(/^>\s?/, '')).join('\n'))}</blockquote>`;
+    }
+
+    if (HTML_BLOCK.test(block)) return block;
+
+    // Single line breaks are kept, as authors expect in JSON strings
+    return `<p>${formatMarkdownInline(block).replace(/\n/g, '<br>')}</p>`;
+}
+
+/**
+ * Inline Markdown on the text between tags, leaving the tags themselves
+ * (and their attributes) alone
+ */
+function formatMarkdownInline(text) {
+    return text
+        .split(/(<[^>]*>)/)
+        .map((part, i) => (i % 2 === 0 ? formatInline(part) : part))
+        .join('');
+}
+
+// ============================================================================
+// SANITIZER
+// ============================================================================
+
+/**
+ * Whitelist-based: drops scripts and embeds, unwraps unknown tags, strips
+ * attributes that aren't allowed and unsafe link targets. External links
+ * open in a new tab with rel="noopener noreferrer".
+ */
+export function sanitizeHtml(html = '') {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.innerHTML;
+}
+
+function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.tagName.toUpperCase();
+        if (DROPPED_TAGS.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+
+        const allowed = ALLOWED_TAGS[tag];
+        if (!allowed) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        Array.from(node.attributes).forEach(attr => {
+            if (!allowed.includes(attr.name.toLowerCase())) {
+                node.removeAttribute(attr.name);
+            }
+        });
+
+        if (tag === 'A') sanitizeLink(node);
+    });
+}
+
+function sanitizeLink(link) {
+    const href = link.getAttribute('href') || '';
+    if (!isSafeUrl(href)) {
+        link.removeAttribute('href');
+    } else if (isExternalUrl(href)) {
+        link.setAttribute('target', '_blank');
+    }
+
+    if (link.getAttribute('target') !== '_blank') {
+        link.removeAttribute('target');
+        link.removeAttribute('rel');
+        return;
+    }
+
+    const rel = new Set((link.getAttribute('rel') || '').split(/\s+/).filter(Boolean));
+    rel.add('noopener');
+    rel.add('noreferrer');
+    link.setAttribute('rel', Array.from(rel).join(' '));
+}
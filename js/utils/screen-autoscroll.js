@@ -0,0 +1,193 @@
+/**
+ * Screen Auto-Scroll
+ * Plays a tall full-page screenshot inside a device mockup like a screen
+ * recording: scrolls down at a steady speed, holds at pause points, then
+ * returns to the top and loops. Any wheel/touch from the visitor hands
+ * control back to them; playback resumes from where they left off once
+ * they've been idle for a while.
+ *
+ * Slide options (`"autoScroll": true` uses the defaults):
+ * - speed: pixels per second (default 120)
+ * - easing: 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out', per segment
+ * - pauses: stops along the page, as a fraction of its scroll height -
+ *   either a number (0.4) or { at: 0.4, duration: 2500 }
+ * - pauseDuration: default hold at each pause point, in ms
+ * - startDelay: wait before scrolling once the slide is active, in ms
+ * - endPause: hold at the bottom of the page, in ms
+ * - resumeAfter: idle time after user interaction before resuming, in ms
+ * - loop: go back to the top and play again (default true)
+ */
+
+const EASINGS = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+const DEFAULTS = {
+    speed: 120,
+    easing: 'ease-in-out',
+    pauses: [],
+    pauseDuration: 1500,
+    startDelay: 1200,
+    endPause: 2000,
+    resumeAfter: 4000,
+    loop: true
+};
+
+const INTERACTION_EVENTS = ['wheel', 'touchstart', 'pointerdown', 'keydown'];
+
+export class ScreenAutoScroll {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...DEFAULTS, ...(typeof options === 'object' ? options : {}) };
+        this.easing = EASINGS[this.options.easing] || EASINGS[DEFAULTS.easing];
+        this.stops = this.normalizeStops(this.options.pauses);
+
+        this.active = false;
+        this.frameId = null;
+        this.timeoutId = null;
+        this.idleTimeoutId = null;
+
+        this.handleInteraction = this.handleInteraction.bind(this);
+        INTERACTION_EVENTS.forEach(evt => {
+            this.element.addEventListener(evt, this.handleInteraction, { passive: true });
+        });
+    }
+
+    /**
+     * Pause points sorted by position, with the end of the page last
+     */
+    normalizeStops(pauses = []) {
+        const stops = pauses
+            .map(pause => (typeof pause === 'number' ? { at: pause } : pause))
+            .filter(pause => pause && typeof pause.at === 'number' && pause.at > 0 && pause.at < 1)
+            .map(pause => ({ at: pause.at, duration: pause.duration ?? this.options.pauseDuration }))
+            .sort((a, b) => a.at - b.at);
+
+        stops.push({ at: 1, duration: this.options.endPause, end: true });
+        return stops;
+    }
+
+    /**
+     * Slide became active - play from the current position after the start delay
+     */
+    start() {
+        if (this.active) return;
+        if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return;
+
+        this.active = true;
+        this.schedule(() => this.scrollToNextStop(), this.options.startDelay);
+    }
+
+    /**
+     * Slide left the screen - stop completely
+     */
+    stop() {
+        this.active = false;
+        this.halt();
+        clearTimeout(this.idleTimeoutId);
+        this.idleTimeoutId = null;
+    }
+
+    destroy() {
+        this.stop();
+        INTERACTION_EVENTS.forEach(evt => {
+            this.element.removeEventListener(evt, this.handleInteraction);
+        });
+    }
+
+    /**
+     * Visitor takes over; resume once they've left it alone
+     */
+    handleInteraction() {
+        if (!this.active) return;
+
+        this.halt();
+        clearTimeout(this.idleTimeoutId);
+        this.idleTimeoutId = setTimeout(() => {
+            this.idleTimeoutId = null;
+            if (this.active) this.scrollToNextStop();
+        }, this.options.resumeAfter);
+    }
+
+    halt() {
+        if (this.frameId) cancelAnimationFrame(this.frameId);
+        clearTimeout(this.timeoutId);
+        this.frameId = null;
+        this.timeoutId = null;
+    }
+
+    schedule(callback, delay) {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = setTimeout(() => {
+            this.timeoutId = null;
+            if (this.active) callback();
+        }, delay);
+    }
+
+    getMaxScroll() {
+        return this.element.scrollHeight - this.element.clientHeight;
+    }
+
+    scrollToNextStop() {
+        const maxScroll = this.getMaxScroll();
+
+        // Screenshot not loaded yet (or fits the screen) - check again shortly
+        if (maxScroll <= 1) {
+            this.schedule(() => this.scrollToNextStop(), 500);
+            return;
+        }
+
+        const from = this.element.scrollTop;
+        const stop = this.stops.find(s => s.at * maxScroll > from + 1) || this.stops[this.stops.length - 1];
+        const to = Math.round(stop.at * maxScroll);
+
+        this.animateScroll(from, to, Math.abs(to - from) / this.options.speed * 1000, () => {
+            this.schedule(() => {
+                if (stop.end) {
+                    this.restart();
+                } else {
+                    this.scrollToNextStop();
+                }
+            }, stop.duration);
+        });
+    }
+
+    /**
+     * Back to the top (quickly) and play again
+     */
+    restart() {
+        if (!this.options.loop) {
+            this.active = false;
+            return;
+        }
+
+        this.animateScroll(this.element.scrollTop, 0, 800, () => {
+            this.schedule(() => this.scrollToNextStop(), this.options.startDelay);
+        });
+    }
+
+    animateScroll(from, to, duration, onComplete) {
+        if (duration <= 0 || from === to) {
+            this.element.scrollTop = to;
+            onComplete();
+            return;
+        }
+
+        const startTime = performance.now();
+        const step = (now) => {
+            const progress = Math.min((now - startTime) / duration, 1);
+            this.element.scrollTop = from + (to - from) * this.easing(progress);
+
+            if (progress < 1) {
+                this.frameId = requestAnimationFrame(step);
+            } else {
+                this.frameId = null;
+                onComplete();
+            }
+        };
+        this.frameId = requestAnimationFrame(step);
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Synced Video Group
+ * Plays two or more videos in lockstep behind one set of controls
+ * (play/pause, scrub, time). The first video leads; the others follow it,
+ * nudging their playback rate to close small drift and seeking when they
+ * fall too far behind. If any player stalls to buffer, the whole group
+ * waits for it.
+ *
+ * Only one video is ever audible (`audible` index, or none at all).
+ */
+
+import { formatTime } from './video-tracks.js';
+
+// Drift (seconds) above which a follower seeks instead of easing back in
+const SEEK_THRESHOLD = 0.3;
+// Drift below which a follower is considered in step
+const SYNC_TOLERANCE = 0.04;
+// Playback rate adjustment used to close small drift
+const RATE_NUDGE = 0.05;
+
+export class SyncedVideoGroup {
+    constructor(frame, { audible = null, loop = false } = {}) {
+        this.frame = frame;
+        this.videos = Array.from(frame.querySelectorAll('video'));
+        this.leader = this.videos[0];
+        this.followers = this.videos.slice(1);
+        this.loop = loop;
+
+        this.playButton = frame.querySelector('.side-by-side-play');
+        this.scrubber = frame.querySelector('.side-by-side-scrub');
+        this.timeLabel = frame.querySelector('.side-by-side-time');
+
+        this.playing = false;
+        this.waiting = new Set();
+        this.frameId = null;
+        this.isScrubbing = false;
+        this.listeners = [];
+
+        this.setAudible(audible);
+        this.bindEvents();
+        this.updateControls();
+    }
+
+    listen(element, event, handler) {
+        element.addEventListener(event, handler);
+        this.listeners.push({ element, event, handler });
+    }
+
+    bindEvents() {
+        if (this.playButton) {
+            this.listen(this.playButton, 'click', () => this.toggle());
+        }
+
+        if (this.scrubber) {
+            this.listen(this.scrubber, 'input', () => {
+                this.isScrubbing = true;
+                this.seek(this.scrubber.value / 1000 * this.getDuration());
+            });
+            this.listen(this.scrubber, 'change', () => {
+                this.isScrubbing = false;
+            });
+        }
+
+        this.frame.querySelectorAll('.side-by-side-audio').forEach(button => {
+            this.listen(button, 'click', () => {
+                const index = parseInt(button.dataset.index);
+                this.setAudible(this.audible === index ? null : index);
+            });
+        });
+
+        this.videos.forEach(video => {
+            this.listen(video, 'loadedmetadata', () => this.updateControls());
+
+            // Buffering: hold the group until every player can continue
+            this.listen(video, 'waiting', () => {
+                if (!this.playing) return;
+                this.waiting.add(video);
+                this.videos.forEach(other => { if (other !== video) other.pause(); });
+            });
+            this.listen(video, 'canplay', () => {
+                if (!this.waiting.delete(video)) return;
+                if (this.playing && this.waiting.size === 0) this.playAll();
+            });
+
+            // Paused from outside (slide change, another video started) - stop the group
+            this.listen(video, 'pause', () => {
+                if (this.playing && this.waiting.size === 0 && !video.ended) {
+                    this.pause();
+                }
+            });
+        });
+
+        this.listen(this.leader, 'ended', () => {
+            if (this.loop) {
+                this.seek(0);
+                this.playAll();
+            } else {
+                this.pause();
+            }
+        });
+    }
+
+    getDuration() {
+        return Number.isFinite(this.leader.duration) ? this.leader.duration : 0;
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        if (this.leader.ended) this.seek(0);
+        this.playing = true;
+        this.playAll();
+        this.startSyncLoop();
+        this.updateControls();
+    }
+
+    pause() {
+        this.playing = false;
+        this.waiting.clear();
+        this.videos.forEach(video => {
+            video.pause();
+            video.playbackRate = 1;
+        });
+        this.stopSyncLoop();
+        this.updateControls();
+    }
+
+    playAll() {
+        this.videos.forEach(video => {
+            video.play().catch(() => {
+                // Autoplay refused (audible video without a gesture) - stop cleanly
+                this.pause();
+            });
+        });
+    }
+
+    seek(time) {
+        this.videos.forEach(video => {
+            video.currentTime = Math.min(time, video.duration || time);
+        });
+        this.updateControls();
+    }
+
+    /**
+     * Only one audible player; null mutes them all
+     */
+    setAudible(index) {
+        this.audible = Number.isInteger(index) && this.videos[index] ? index : null;
+
+        this.videos.forEach((video, i) => {
+            video.muted = i !== this.audible;
+        });
+
+        this.frame.querySelectorAll('.side-by-side-audio').forEach(button => {
+            const isOn = parseInt(button.dataset.index) === this.audible;
+            button.classList.toggle('active', isOn);
+            button.setAttribute('aria-pressed', String(isOn));
+            button.querySelector('i').className = `bx ${isOn ? 'bx-volume-full' : 'bx-volume-mute'}`;
+        });
+    }
+
+    startSyncLoop() {
+        this.stopSyncLoop();
+
+        const tick = () => {
+            this.correctDrift();
+            this.updateControls();
+            this.frameId = requestAnimationFrame(tick);
+        };
+        this.frameId = requestAnimationFrame(tick);
+    }
+
+    stopSyncLoop() {
+        if (this.frameId) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    correctDrift() {
+        if (this.waiting.size > 0 || this.leader.paused) return;
+
+        const target = this.leader.currentTime;
+        this.followers.forEach(video => {
+            if (video.ended || target >= (video.duration || Infinity)) return;
+
+            const drift = video.currentTime - target;
+            if (Math.abs(drift) > SEEK_THRESHOLD) {
+                video.currentTime = target;
+                video.playbackRate = 1;
+            } else if (Math.abs(drift) > SYNC_TOLERANCE) {
+                // Behind: speed up a little; ahead: slow down
+                video.playbackRate = drift < 0 ? 1 + RATE_NUDGE : 1 - RATE_NUDGE;
+            } else {
+                video.playbackRate = 1;
+            }
+        });
+    }
+
+    updateControls() {
+        const duration = this.getDuration();
+        const current = this.leader.currentTime || 0;
+
+        if (this.playButton) {
+            this.playButton.setAttribute('aria-label', this.playing ? 'Pause' : 'Play');
+            this.playButton.querySelector('i').className = `bx ${this.playing ? 'bx-pause' : 'bx-play'}`;
+        }
+
+        if (this.scrubber && !this.isScrubbing) {
+            this.scrubber.value = duration ? Math.round(current / duration * 1000) : 0;
+            this.scrubber.setAttribute('aria-valuetext', `${formatTime(current)} of ${formatTime(duration)}`);
+        }
+
+        if (this.timeLabel) {
+            this.timeLabel.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+        }
+    }
+
+    destroy() {
+        this.pause();
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Video Tracks
+ * WebVTT captions and chapter markers for video slides and video screens
+ * in device mockups (TV etc.).
+ *
+ * Slide fields:
+ * - captions: [{ src, srclang, label, default }] - one WebVTT file per language
+ * - chapters: [{ time, title }] with time in seconds or "m:ss",
+ *   or the URL of a WebVTT chapters file
+ */
+
+import { escapeHtml, escapeUrl } from './rich-text.js';
+
+export function hasCaptionTracks(slide) {
+    return Array.isArray(slide.captions) && slide.captions.some(track => track && track.src);
+}
+
+export function hasChapters(slide) {
+    return typeof slide.chapters === 'string' ||
+        (Array.isArray(slide.chapters) && slide.chapters.length > 0);
+}
+
+/**
+ * "1:05" / "1:02:05" / 65 -> seconds
+ */
+export function parseTime(value) {
+    if (typeof value === 'number') return value;
+    return String(value).split(':').reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+}
+
+export function formatTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const secs = String(whole % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
+/**
+ * <track> elements for a video's captions (and chapters file, if any)
+ */
+export function renderVideoTracks(slide) {
+    const tracks = [];
+
+    if (hasCaptionTracks(slide)) {
+        slide.captions.filter(track => track && track.src).forEach(track => {
+            const srclang = track.srclang || 'en';
+            const label = track.label || srclang.toUpperCase();
+            tracks.push(`<track kind="subtitles" src="${escapeUrl(track.src)}" srclang="${escapeHtml(srclang)}" label="${escapeHtml(label)}"${track.default ? ' data-default' : ''}>`);
+        });
+    }
+
+    if (typeof slide.chapters === 'string') {
+        tracks.push(`<track kind="chapters" src="${escapeUrl(slide.chapters)}" class="video-chapters-track">`);
+    }
+
+    return tracks.join('');
+}
+
+export function renderChapterItems(chapters) {
+    return chapters.map(chapter => {
+        const time = parseTime(chapter.time ?? chapter.startTime ?? 0);
+        const title = chapter.title ?? chapter.text ?? '';
+        return `
+            <li>
+                <button type="button" class="video-chapter" data-time="${time}">
+                    <span class="video-chapter-time">${formatTime(time)}</span>
+                    <span class="video-chapter-title">${escapeHtml(title)}</span>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Captions toggle + chapter menu shown over the top of the video.
+ * Chapters from a WebVTT file are filled in once the track loads.
+ */
+export function renderVideoTrackControls(slide) {
+    const captions = hasCaptionTracks(slide);
+    const chapters = hasChapters(slide);
+    if (!captions && !chapters) return '';
+
+    const captionsButton = captions
+        ? `<button type="button" class="video-captions-toggle" aria-pressed="false" aria-label="Subtitles" title="Subtitles">
+               <i class='bx bx-captions'></i>
+           </button>`
+        : '';
+
+    const chapterItems = Array.isArray(slide.chapters) ? renderChapterItems(slide.chapters) : '';
+    const chaptersMenu = chapters
+        ? `<div class="video-chapters">
+               <button type="button" class="video-chapters-toggle" aria-expanded="false" aria-label="Chapters" title="Chapters">
+                   <i class='bx bx-list-ul'></i>
+               </button>
+               <ol class="video-chapters-list" hidden>${chapterItems}</ol>
+           </div>`
+        : '';
+
+    return `<div class="video-track-controls">${captionsButton}${chaptersMenu}</div>`;
+}
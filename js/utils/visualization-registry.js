@@ -2,6 +2,9 @@
  * Visualization Registry
  * Central registry for all visualizations
  * Makes it easy to add new visualizations - just add one entry here!
+ *
+ * `settings` (optional) names the module's exported default settings object
+ * so embeds can override individual values (see create()).
  */
 
 // ============================================================================
@@ -13,21 +16,24 @@ const VISUALIZATION_MANIFEST = [
         title: 'Lava Lamp',
         description: 'Organic flowing metaball animation with bloom effects',
         module: () => import('../visualizations/lava-lamp.js'),
-        className: 'LavaLamp'
+        className: 'LavaLamp',
+        settings: 'LAVA_LAMP_SETTINGS'
     },
     {
         id: 'viz-network',
         title: 'Tumble Dweebs',
         description: '2D IK system with visible connections',
         module: () => import('../visualizations/blob-ik.js'),
-        className: 'BlobIK'
+        className: 'BlobIK',
+        settings: 'BLOB_IK_SETTINGS'
     },
     {
         id: 'viz-forest',
         title: 'Into the Woods',
         description: 'Infinite forest of Munari-style trees moving from horizon to foreground',
         module: () => import('../visualizations/forest.js'),
-        className: 'Forest'
+        className: 'Forest',
+        settings: 'FOREST_SETTINGS'
     },
     {
         id: 'viz-block-roller',
@@ -41,14 +47,16 @@ const VISUALIZATION_MANIFEST = [
         title: 'Cell Game',
         description: 'Interactive cell with physics-based membrane and draggable nucleus',
         module: () => import('../visualizations/cell-game.js'),
-        className: 'Cell'
+        className: 'Cell',
+        settings: 'CELL_SETTINGS'
     },
     {
         id: 'viz-through-the-wire',
         title: 'Through the Wire',
         description: 'Side-scrolling telephone poles with slumping wires and occasional birds',
         module: () => import('../visualizations/through-the-wire.js'),
-        className: 'ThroughTheWire'
+        className: 'ThroughTheWire',
+        settings: 'THROUGH_THE_WIRE_SETTINGS'
     }
     // Add more visualizations here as needed!
 ];
@@ -73,6 +81,7 @@ class VisualizationRegistry {
                 description: viz.description,
                 module: viz.module,
                 className: viz.className,
+                settingsName: viz.settings || null,
                 visualizationClass: null // Will be loaded on demand
             });
         });
@@ -125,6 +134,39 @@ class VisualizationRegistry {
         }
     }
 
+    /**
+     * Get the module's exported default settings (null if it has none)
+     */
+    async getDefaultSettings(id) {
+        const config = this.visualizations.get(id);
+        if (!config || !config.settingsName) return null;
+
+        await this.getVisualizationClass(id);
+        return this.loadedModules.get(id)?.[config.settingsName] || null;
+    }
+
+    /**
+     * Create a visualization instance in a container
+     * @param {string} id - Visualization ID
+     * @param {HTMLElement} container - Element the canvas is mounted into
+     * @param {Object} overrides - Partial settings deep-merged over the defaults
+     */
+    async create(id, container, overrides = null) {
+        const VisualizationClass = await this.getVisualizationClass(id);
+
+        if (!overrides) {
+            return new VisualizationClass(container);
+        }
+
+        const defaults = await this.getDefaultSettings(id);
+        if (!defaults) {
+            console.warn(`Visualization "${id}" has no settings export, ignoring overrides`);
+            return new VisualizationClass(container);
+        }
+
+        return new VisualizationClass(container, mergeSettings(defaults, overrides));
+    }
+
     /**
      * Get all visualization IDs
      */
@@ -160,6 +202,22 @@ class VisualizationRegistry {
     }
 }
 
+/**
+ * Deep merge settings without mutating the shared defaults object
+ */
+function mergeSettings(defaults, overrides) {
+    const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const result = { ...defaults };
+
+    Object.keys(overrides).forEach(key => {
+        result[key] = isPlainObject(defaults[key]) && isPlainObject(overrides[key])
+            ? mergeSettings(defaults[key], overrides[key])
+            : overrides[key];
+    });
+
+    return result;
+}
+
 // Export singleton instance
 export const visualizationRegistry = new VisualizationRegistry();
 
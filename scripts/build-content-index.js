@@ -0,0 +1,148 @@
+// Content Index Builder
+// Regenerates data/index.json from the JSON files in data/
+// Run with: node scripts/build-content-index.js (or npm run content:index)
+//
+// Each content file already carries its own type/id/title, so this only
+// needs to pick them up. Hand-edited manifest fields (order, category,
+// hidden, unlisted, publishDate, navigation groups) are preserved; new files
+// are appended to the end of their category.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const MANIFEST_FILE = path.join(DATA_DIR, 'index.json');
+
+// Fields a content file may set to seed its manifest entry
+const METADATA_FIELDS = ['order', 'category', 'hidden', 'unlisted', 'publishDate'];
+
+const DEFAULT_NAVIGATION = [
+    { id: 'about', title: 'About', icon: 'bx-user', item: 'about' },
+    { id: 'visualizations', title: 'Vibes', icon: 'bx-paint', source: 'visualizations' },
+    { id: 'case-studies', title: 'Work Samples', icon: 'bx-briefcase', category: 'case-studies' }
+];
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * All content JSON files under data/ (one level of subdirectories)
+ */
+function findContentFiles() {
+    const files = [];
+
+    fs.readdirSync(DATA_DIR, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(DATA_DIR, entry.name);
+        if (entry.isDirectory()) {
+            fs.readdirSync(entryPath)
+                .filter(name => name.endsWith('.json'))
+                .forEach(name => files.push(path.join(entryPath, name)));
+        } else if (entry.name.endsWith('.json') && entryPath !== MANIFEST_FILE) {
+            files.push(entryPath);
+        }
+    });
+
+    return files.sort();
+}
+
+function toDataPath(filePath) {
+    return '/' + path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+function defaultCategory(data) {
+    return data.type === 'case-study' ? 'case-studies' : data.id;
+}
+
+function buildManifest(existing) {
+    const existingById = new Map((existing.content || []).map(item => [item.id, item]));
+    const seen = new Set();
+    const content = [];
+
+    findContentFiles().forEach(filePath => {
+        let data;
+        try {
+            data = readJson(filePath);
+        } catch (error) {
+            console.warn(`  ⚠️  Skipping ${toDataPath(filePath)}: ${error.message}`);
+            return;
+        }
+
+        if (!data.id || !data.type) {
+            console.warn(`  ⚠️  Skipping ${toDataPath(filePath)}: missing "id" or "type"`);
+            return;
+        }
+
+        const previous = existingById.get(data.id) || {};
+        const entry = {
+            id: data.id,
+            type: data.type,
+            title: data.title || data.id,
+            category: previous.category || data.category || defaultCategory(data),
+            dataPath: toDataPath(filePath)
+        };
+
+        METADATA_FIELDS.filter(field => field !== 'category').forEach(field => {
+            const value = field in previous ? previous[field] : data[field];
+            if (value !== undefined) entry[field] = value;
+        });
+
+        seen.add(data.id);
+        content.push(entry);
+    });
+
+    // Append-to-end ordering for new entries in each category
+    const maxOrder = {};
+    content.forEach(entry => {
+        if (typeof entry.order === 'number') {
+            maxOrder[entry.category] = Math.max(maxOrder[entry.category] || 0, entry.order);
+        }
+    });
+    content.forEach(entry => {
+        if (typeof entry.order !== 'number') {
+            maxOrder[entry.category] = (maxOrder[entry.category] || 0) + 1;
+            entry.order = maxOrder[entry.category];
+        }
+    });
+
+    // Keep the existing file order for known entries, new ones after
+    const position = id => {
+        const index = (existing.content || []).findIndex(item => item.id === id);
+        return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    content.sort((a, b) => position(a.id) - position(b.id));
+
+    // Inline-data entries (no JSON file, e.g. contact) are carried over as-is
+    (existing.content || [])
+        .filter(item => !item.dataPath && !seen.has(item.id))
+        .forEach(item => content.push(item));
+
+    return {
+        navigation: existing.navigation || DEFAULT_NAVIGATION,
+        content
+    };
+}
+
+/**
+ * Rebuild data/index.json on disk from the current content files
+ */
+function writeManifest() {
+    const existing = fs.existsSync(MANIFEST_FILE) ? readJson(MANIFEST_FILE) : {};
+    const manifest = buildManifest(existing);
+
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+function main() {
+    const manifest = writeManifest();
+
+    console.log(`  ✅ Wrote ${toDataPath(MANIFEST_FILE)} (${manifest.content.length} entries)`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildManifest, findContentFiles, writeManifest };
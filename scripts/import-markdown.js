@@ -0,0 +1,425 @@
+// Markdown Case Study Importer
+// Turns a folder drafted in Markdown into data/case-studies/<id>.json and
+// registers it in data/index.json.
+// Run with: node scripts/import-markdown.js <folder> [<folder> ...] [--force]
+//   (or npm run content:import -- <folder>)
+//
+// Folder layout:
+//   my-project/
+//     index.md       front matter + body
+//     hero.jpg       images referenced from index.md
+//
+// Front matter (YAML between --- lines) holds the deck metadata: id, title,
+// client, role, year, tags, overview (challenge/solution/impact), metrics,
+// plus description/titleImage for the overview slide and the manifest
+// fields (order, category, hidden, unlisted, publishDate).
+//
+// The body becomes slides:
+// - text before the first heading is the overview slide's description
+// - each # or ## heading starts a text slide (and a chapter); the paragraphs
+//   under it are its content, kept as Markdown
+// - a paragraph of only images becomes an image/video slide, or a gallery
+//   slide for two or more; ![alt](path "caption") sets alt text and caption
+//
+// Local images are copied to images/case-studies/<id>/. Existing JSON is
+// left alone unless --force is passed.
+
+const fs = require('fs');
+const path = require('path');
+const { writeManifest } = require('./build-content-index.js');
+const { validateFile } = require('./validate-content.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'data', 'case-studies');
+const IMAGES_DIR = path.join(ROOT, 'images', 'case-studies');
+const SCHEMA_FILE = path.join(ROOT, 'schemas', 'content.schema.json');
+
+// Deck fields taken from the front matter, in output order
+const DECK_FIELDS = ['client', 'role', 'year', 'tags', 'overview', 'metrics', 'order', 'category', 'hidden', 'unlisted', 'publishDate', 'autoSlides', 'captions'];
+const STRING_FIELDS = ['client', 'role', 'year', 'publishDate'];
+
+const IMAGE_LINE = /^!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)$/;
+const VIDEO_FILE = /\.(mp4|webm|mov)$/i;
+// Same as the schema's deck id - it names files under data/ and images/
+const DECK_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// ============================================================================
+// FRONT MATTER
+// A small YAML subset: nested maps and lists by indentation, "- key: value"
+// list items, inline [a, b] lists, quoted strings, numbers, booleans and
+// | / > block strings. Enough for deck metadata without a dependency.
+// ============================================================================
+
+const KEY_VALUE = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/;
+
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: source };
+    return { data: parseYaml(match[1]), body: source.slice(match[0].length) };
+}
+
+function parseYaml(text) {
+    const lines = text.split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .map(line => ({ indent: line.trim() ? line.search(/\S/) : -1, text: line.trim() }));
+    let i = 0;
+
+    const skipBlank = () => {
+        while (i < lines.length && lines[i].indent === -1) i++;
+    };
+
+    const isListItem = line => line.text === '-' || line.text.startsWith('- ');
+
+    // Value on the following lines: a nested block, or nothing
+    const parseNested = (indent) => {
+        skipBlank();
+        if (i >= lines.length) return null;
+        const next = lines[i];
+        if (next.indent > indent || (next.indent === indent && isListItem(next))) {
+            return parseBlock(next.indent);
+        }
+        return null;
+    };
+
+    const parseBlockString = (indent, folded) => {
+        const collected = [];
+        while (i < lines.length && (lines[i].indent === -1 || lines[i].indent > indent)) {
+            collected.push(lines[i].text);
+            i++;
+        }
+        while (collected.length && collected[collected.length - 1] === '') collected.pop();
+
+        if (!folded) return collected.join('\n');
+        // Folded: lines join with spaces, blank lines become paragraph breaks
+        return collected.join('\n').replace(/([^\n])\n(?!\n)/g, '$1 ');
+    };
+
+    function parseBlock(indent) {
+        skipBlank();
+        const asList = isListItem(lines[i]);
+        const result = asList ? [] : {};
+
+        while (i < lines.length) {
+            skipBlank();
+            if (i >= lines.length || lines[i].indent !== indent) break;
+            const { text } = lines[i];
+
+            if (asList) {
+                if (!isListItem(lines[i])) break;
+                const rest = text.replace(/^-\s*/, '');
+
+                if (!rest) {
+                    i++;
+                    result.push(parseNested(indent));
+                } else if (KEY_VALUE.test(rest)) {
+                    // "- key: value" opens a map whose keys line up with "key"
+                    lines[i] = { indent: indent + text.length - rest.length, text: rest };
+                    result.push(parseBlock(lines[i].indent));
+                } else {
+                    i++;
+                    result.push(parseScalar(rest));
+                }
+                continue;
+            }
+
+            const pair = text.match(KEY_VALUE);
+            if (!pair) {
+                throw new Error(`can't read front matter line "${text}"`);
+            }
+            i++;
+
+            const [, key, value = ''] = pair;
+            if (value === '') {
+                result[key] = parseNested(indent);
+            } else if (value === '|' || value === '>') {
+                result[key] = parseBlockString(indent, value === '>');
+            } else {
+                result[key] = parseScalar(value);
+            }
+        }
+
+        return result;
+    }
+
+    skipBlank();
+    return i < lines.length ? parseBlock(lines[i].indent) : {};
+}
+
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('"')) return JSON.parse(value);
+    if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseScalar) : [];
+    }
+
+    const plain = value.replace(/\s+#.*$/, '');
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (plain === 'null' || plain === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+// ============================================================================
+// BODY -> SLIDES
+// ============================================================================
+
+function isLocalPath(src) {
+    return !/^([a-z]+:)?\/\//i.test(src) && !src.startsWith('/') && !src.startsWith('data:');
+}
+
+/**
+ * Copy a file next to index.md into images/case-studies/<id>/ and return
+ * its site path. Remote and site-absolute paths are used as written.
+ */
+function importAsset(src, context) {
+    if (!src || !isLocalPath(src)) return src;
+
+    const source = path.resolve(context.folder, decodeURI(src));
+    if (!fs.existsSync(source)) {
+        context.warnings.push(`file not found: ${src}`);
+        return src;
+    }
+
+    const name = path.basename(source);
+    const targetDir = path.join(IMAGES_DIR, context.id);
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.copyFileSync(source, path.join(targetDir, name));
+    context.copied.add(name);
+
+    return `/images/case-studies/${context.id}/${name}`;
+}
+
+/**
+ * Pixel size of a PNG or JPEG on disk (galleries use it to lay out tiles
+ * before the images load); null for anything else
+ */
+function readImageSize(file) {
+    const buffer = fs.readFileSync(file);
+
+    if (buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            // SOF0-SOF15 carry the frame size (C4, C8 and CC are not frames)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+function toMediaSlide(images, title, context) {
+    const items = images.map(({ alt, src, caption }) => ({
+        src: importAsset(src, context),
+        alt,
+        caption
+    }));
+
+    if (items.length === 1) {
+        const [item] = items;
+        const slide = { type: VIDEO_FILE.test(item.src) ? 'video' : 'image', src: item.src };
+        if (item.alt) slide.alt = item.alt;
+        if (item.caption) slide.caption = item.caption;
+        return slide;
+    }
+
+    const slide = { type: 'gallery' };
+    if (title) slide.title = title;
+    slide.images = items.map(item => {
+        const image = { src: item.src };
+        if (item.alt) image.alt = item.alt;
+        if (item.caption) image.caption = item.caption;
+
+        const file = path.join(ROOT, item.src);
+        const size = item.src.startsWith('/') && fs.existsSync(file) ? readImageSize(file) : null;
+        if (size) Object.assign(image, size);
+        return image;
+    });
+    return slide;
+}
+
+function buildSlides(body, frontMatter, context) {
+    const overview = { type: 'overview', title: frontMatter.title };
+    const slides = [overview];
+    const leadText = [];
+    let textSlide = null;
+    let lastHeading = null;
+
+    const blocks = body.replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .filter(Boolean);
+
+    blocks.forEach(block => {
+        const lines = block.split('\n');
+
+        // # / ## heading: new text slide, any lines under it are its content
+        const heading = lines[0].match(/^#{1,2}\s+(.+?)\s*#*$/);
+        if (heading) {
+            lastHeading = heading[1];
+            textSlide = { type: 'intro', title: lastHeading };
+            slides.push(textSlide);
+            if (lines.length > 1) textSlide.content = lines.slice(1).join('\n');
+            return;
+        }
+
+        const images = lines.map(line => line.trim().match(IMAGE_LINE));
+        if (images.every(Boolean)) {
+            const media = images.map(([, alt, src, caption]) => ({ alt, src, caption }));
+            slides.push(toMediaSlide(media, lastHeading, context));
+            textSlide = null;
+            return;
+        }
+
+        if (slides.length === 1) {
+            leadText.push(block);
+        } else {
+            // Copy after media with no heading of its own
+            if (!textSlide) {
+                textSlide = { type: 'background' };
+                slides.push(textSlide);
+            }
+            textSlide.content = textSlide.content ? `${textSlide.content}\n\n${block}` : block;
+        }
+    });
+
+    const description = leadText.length > 0 ? leadText.join('\n\n') : frontMatter.description;
+    if (description) overview.description = description;
+    if (frontMatter.titleImage) overview.titleImage = importAsset(frontMatter.titleImage, context);
+
+    return slides;
+}
+
+// ============================================================================
+// DECK
+// ============================================================================
+
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * "metrics" may be a list of { label, value } or a { label: value } map
+ */
+function normalizeMetrics(metrics) {
+    if (Array.isArray(metrics)) {
+        return metrics.map(metric => ({ label: String(metric.label), value: String(metric.value) }));
+    }
+    return Object.entries(metrics).map(([label, value]) => ({ label, value: String(value) }));
+}
+
+function buildDeck(folder, warnings) {
+    const indexFile = path.join(folder, 'index.md');
+    if (!fs.existsSync(indexFile)) {
+        throw new Error(`no index.md in ${folder}`);
+    }
+
+    const { data: frontMatter, body } = parseFrontMatter(fs.readFileSync(indexFile, 'utf-8'));
+    const id = frontMatter.id ? String(frontMatter.id) : slugify(path.basename(folder));
+    if (!DECK_ID.test(id)) {
+        throw new Error(`"${id}" is not a valid deck id (lowercase letters, digits and hyphens)`);
+    }
+    if (!frontMatter.title) {
+        throw new Error('front matter has no "title"');
+    }
+
+    const context = { folder, id, warnings, copied: new Set() };
+    const deck = { type: 'case-study', id, title: String(frontMatter.title) };
+
+    DECK_FIELDS.forEach(field => {
+        const value = frontMatter[field];
+        if (value === undefined || value === null) return;
+
+        if (STRING_FIELDS.includes(field)) {
+            deck[field] = String(value);
+        } else if (field === 'tags') {
+            deck.tags = (Array.isArray(value) ? value : [value]).map(String);
+        } else if (field === 'metrics') {
+            deck.metrics = normalizeMetrics(value);
+        } else {
+            deck[field] = value;
+        }
+    });
+
+    deck.slides = buildSlides(body, frontMatter, context);
+    return { deck, copied: context.copied };
+}
+
+function importFolder(folder, { force }) {
+    const warnings = [];
+    const { deck, copied } = buildDeck(folder, warnings);
+    const outputFile = path.join(OUTPUT_DIR, `${deck.id}.json`);
+    const label = path.relative(ROOT, outputFile);
+
+    if (fs.existsSync(outputFile) && !force) {
+        throw new Error(`${label} already exists (use --force to overwrite)`);
+    }
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(deck, null, 2) + '\n');
+
+    console.log(`  ✅ ${path.relative(ROOT, folder) || folder} → ${label} (${deck.slides.length} slides, ${copied.size} file(s) copied)`);
+    warnings.forEach(message => console.log(`     ⚠ ${message}`));
+
+    return outputFile;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const folders = args.filter(arg => !arg.startsWith('--')).map(folder => path.resolve(folder));
+
+    if (folders.length === 0) {
+        console.log('  Usage: node scripts/import-markdown.js <folder> [<folder> ...] [--force]');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('');
+    const written = [];
+    folders.forEach(folder => {
+        try {
+            written.push(importFolder(folder, { force }));
+        } catch (error) {
+            console.log(`  ❌ ${path.relative(ROOT, folder) || folder}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+
+    if (written.length === 0) return;
+
+    // Register in the content manifest
+    const manifest = writeManifest();
+    console.log(`  ✅ Updated data/index.json (${manifest.content.length} entries)`);
+
+    // Same checks as npm run validate
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8'));
+    written.forEach(file => {
+        const { errors, warnings } = validateFile(file, schema);
+        errors.forEach(issue => console.log(`     ✖ ${issue.pointer} ${issue.message}`));
+        warnings.forEach(issue => console.log(`     ⚠ ${issue.pointer} ${issue.message}`));
+        if (errors.length > 0) process.exitCode = 1;
+    });
+    console.log('');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseFrontMatter, buildDeck };
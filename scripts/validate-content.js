@@ -0,0 +1,418 @@
+// Content Validator
+// Checks every content file in data/ against schemas/content.schema.json,
+// verifies referenced assets exist on disk and flags missing alt text/captions.
+// Run with: node scripts/validate-content.js [--strict] [files...]
+//   --strict  treat warnings (alt text, captions) as failures
+//
+// Exits with code 1 when any errors are found so it can gate deploys.
+
+const fs = require('fs');
+const path = require('path');
+const { findContentFiles } = require('./build-content-index.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_FILE = path.join(ROOT, 'schemas', 'content.schema.json');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'index.json');
+const VISUALIZATION_REGISTRY_FILE = path.join(ROOT, 'js', 'utils', 'visualization-registry.js');
+const MOCKUP_REGISTRY_FILE = path.join(ROOT, 'js', 'utils', 'mockup-registry.js');
+
+// Slide fields that point at files on disk
+const ASSET_FIELDS = ['src', 'titleImage', 'thumbnail', 'poster', 'chapters', 'avatar', 'logo'];
+const ASSET_LIST_FIELDS = ['images', 'videos', 'captions'];
+// Fields that hold a path or a { src } object
+const ASSET_ITEM_FIELDS = ['before', 'after'];
+
+// Slide types that show an image/video and therefore need alt text
+// (plus every device in the mockup registry)
+const MEDIA_SLIDE_TYPES = ['image', 'video', 'gallery', 'split'];
+// Slide types whose caption is shown to visitors (plus every device)
+const CAPTIONED_SLIDE_TYPES = ['image', 'compare', 'side-by-side', 'visualization', 'model', 'gallery'];
+
+// ============================================================================
+// MINIMAL JSON SCHEMA VALIDATOR
+// Supports the subset of draft 2020-12 our schema uses: type, enum, const,
+// required, properties, additionalProperties, items, minItems, minLength,
+// pattern, minimum/maximum (and their exclusive forms), allOf/anyOf/oneOf,
+// if/then/else and local $ref.
+// ============================================================================
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref is supported (got "${ref}")`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+function validateSchema(schema, value, pointer, root) {
+    if (schema === true) return [];
+    if (schema === false) return [{ pointer, message: 'is not allowed' }];
+
+    if (schema.$ref) {
+        return validateSchema(resolveRef(root, schema.$ref), value, pointer, root);
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ pointer, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`should be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail(`should be one of: ${schema.enum.join(', ')} (got "${value}")`);
+    }
+
+    if ('const' in schema && schema.const !== value) {
+        fail(`should be "${schema.const}"`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`should match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`should be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`should be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`should be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail(`should be less than ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(schema.items, item, `${pointer}[${index}]`, root));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`is missing required field "${key}"`);
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            const childPointer = `${pointer}.${key}`;
+            if (key in properties) {
+                errors.push(...validateSchema(properties[key], value[key], childPointer, root));
+            } else if (schema.additionalProperties !== undefined) {
+                errors.push(...validateSchema(schema.additionalProperties, value[key], childPointer, root));
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach(subschema => {
+        errors.push(...validateSchema(subschema, value, pointer, root));
+    });
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(subschema => validateSchema(subschema, value, pointer, root).length === 0);
+        if (!passes) fail('does not match any of the allowed shapes');
+    }
+
+    if (schema.oneOf) {
+        const passing = schema.oneOf.filter(subschema => validateSchema(subschema, value, pointer, root).length === 0);
+        if (passing.length !== 1) fail('does not match exactly one of the allowed shapes');
+    }
+
+    if (schema.if) {
+        const branch = validateSchema(schema.if, value, pointer, root).length === 0 ? schema.then : schema.else;
+        if (branch) errors.push(...validateSchema(branch, value, pointer, root));
+    }
+
+    return errors;
+}
+
+// ============================================================================
+// CONTENT CHECKS
+// ============================================================================
+
+function isRemote(assetPath) {
+    return /^(https?:)?\/\//.test(assetPath) || assetPath.startsWith('data:');
+}
+
+/**
+ * Content paths are written both as "/images/..." and "images/..." - both
+ * resolve against the site root
+ */
+function assetExists(assetPath) {
+    const clean = assetPath.split(/[?#]/)[0];
+    let decoded = clean;
+    try {
+        decoded = decodeURIComponent(clean);
+    } catch (e) {
+        // Keep the raw path
+    }
+    return fs.existsSync(path.join(ROOT, decoded.replace(/^\/+/, '')));
+}
+
+/**
+ * Every asset path a slide references, with a label for error messages
+ */
+function collectSlideAssets(slide) {
+    const assets = [];
+
+    ASSET_FIELDS.forEach(field => {
+        if (typeof slide[field] === 'string') {
+            assets.push({ field, path: slide[field] });
+        }
+    });
+
+    ASSET_ITEM_FIELDS.forEach(field => {
+        const item = slide[field];
+        const src = typeof item === 'string' ? item : item && item.src;
+        if (typeof src === 'string') {
+            assets.push({ field, path: src });
+        }
+    });
+
+    ASSET_LIST_FIELDS.forEach(field => {
+        if (!Array.isArray(slide[field])) return;
+        slide[field].forEach((item, index) => {
+            const src = typeof item === 'string' ? item : item && item.src;
+            if (typeof src === 'string') {
+                assets.push({ field: `${field}[${index}]`, path: src });
+            }
+        });
+    });
+
+    return assets;
+}
+
+/**
+ * Ids from a browser-side registry manifest (ES module, so read as text
+ * rather than required)
+ */
+function getRegistryIds(registryFile) {
+    if (!fs.existsSync(registryFile)) return null;
+    const source = fs.readFileSync(registryFile, 'utf-8');
+    return Array.from(source.matchAll(/^\s*id:\s*'([^']+)'/gm), match => match[1]);
+}
+
+function getVisualizationIds() {
+    return getRegistryIds(VISUALIZATION_REGISTRY_FILE);
+}
+
+function getMockupTypes() {
+    return getRegistryIds(MOCKUP_REGISTRY_FILE) || [];
+}
+
+/**
+ * Prototype hotspots on a mockup slide and on its individual screens
+ */
+function collectHotspots(slide) {
+    const hotspots = [];
+    (slide.hotspots || []).forEach((hotspot, index) => {
+        hotspots.push({ field: `hotspots[${index}]`, hotspot });
+    });
+    (slide.images || []).forEach((item, imageIndex) => {
+        if (!item || typeof item !== 'object') return;
+        (item.hotspots || []).forEach((hotspot, index) => {
+            hotspots.push({ field: `images[${imageIndex}].hotspots[${index}]`, hotspot });
+        });
+    });
+    return hotspots.filter(({ hotspot }) => hotspot && typeof hotspot === 'object');
+}
+
+function checkSlides(data) {
+    const errors = [];
+    const warnings = [];
+    const visualizationIds = getVisualizationIds();
+    const mockupTypes = getMockupTypes();
+    const slideIds = new Set();
+
+    (data.slides || []).forEach((slide, index) => {
+        if (!slide || !slide.id) return;
+        if (slideIds.has(slide.id)) {
+            errors.push({ pointer: `$.slides[${index}].id`, message: `duplicate slide id "${slide.id}"` });
+        }
+        slideIds.add(slide.id);
+    });
+
+    Object.entries(data.slideRedirects || {}).forEach(([number, target]) => {
+        const pointer = `$.slideRedirects.${number}`;
+        if (!/^[1-9][0-9]*$/.test(number)) {
+            errors.push({ pointer, message: 'key should be a slide number (1, 2, 3, ...)' });
+        }
+        if (typeof target === 'string' && !slideIds.has(target)) {
+            errors.push({ pointer, message: `no slide with id "${target}"` });
+        }
+    });
+
+    (data.slides || []).forEach((slide, index) => {
+        if (!slide || typeof slide !== 'object') return;
+        const pointer = `$.slides[${index}]`;
+
+        collectSlideAssets(slide).forEach(asset => {
+            if (!isRemote(asset.path) && !assetExists(asset.path)) {
+                errors.push({ pointer: `${pointer}.${asset.field}`, message: `file not found: ${asset.path}` });
+            }
+        });
+
+        const isMockup = mockupTypes.includes(slide.type);
+
+        if (MEDIA_SLIDE_TYPES.includes(slide.type) || isMockup) {
+            const itemsWithoutAlt = (slide.images || []).filter(item => typeof item === 'string' || !item.alt);
+            if (!slide.alt && (slide.src || itemsWithoutAlt.length > 0)) {
+                warnings.push({ pointer, message: `${slide.type} slide has no alt text` });
+            }
+        }
+
+        if (slide.type === 'visualization' && visualizationIds && slide.visualization &&
+            !visualizationIds.includes(slide.visualization)) {
+            errors.push({ pointer: `${pointer}.visualization`, message: `unknown visualization "${slide.visualization}"` });
+        }
+
+        if (slide.type === 'gallery') {
+            const unsized = (slide.images || []).filter(item => typeof item === 'string' || !item.width || !item.height);
+            if (unsized.length > 0) {
+                warnings.push({ pointer: `${pointer}.images`, message: `${unsized.length} gallery image(s) have no width/height (tiles resize as they load)` });
+            }
+        }
+
+        if (slide.type === 'side-by-side' && Number.isInteger(slide.audio) &&
+            slide.audio >= (slide.videos || []).length) {
+            errors.push({ pointer: `${pointer}.audio`, message: `no video at index ${slide.audio}` });
+        }
+
+        if ((slide.captions || slide.chapters) && slide.type !== 'video' && !isMockup) {
+            warnings.push({ pointer, message: `subtitles/chapters have no effect on ${slide.type} slides` });
+        }
+
+        if (slide.autoScroll && !isMockup) {
+            warnings.push({ pointer: `${pointer}.autoScroll`, message: `has no effect on ${slide.type} slides` });
+        }
+
+        collectHotspots(slide).forEach(({ field, hotspot }) => {
+            if (typeof hotspot.target === 'string' && !slideIds.has(hotspot.target)) {
+                errors.push({ pointer: `${pointer}.${field}.target`, message: `no slide with id "${hotspot.target}"` });
+            }
+        });
+
+        if ((CAPTIONED_SLIDE_TYPES.includes(slide.type) || isMockup) && !slide.caption) {
+            warnings.push({ pointer, message: `${slide.type} slide has no caption` });
+        }
+    });
+
+    return { errors, warnings };
+}
+
+function checkManifest() {
+    const errors = [];
+    if (!fs.existsSync(MANIFEST_FILE)) {
+        return [{ pointer: '$', message: 'data/index.json is missing (run npm run content:index)' }];
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf-8'));
+    (manifest.content || []).forEach((item, index) => {
+        if (item.dataPath && !assetExists(item.dataPath)) {
+            errors.push({ pointer: `$.content[${index}].dataPath`, message: `file not found: ${item.dataPath}` });
+        }
+    });
+    return errors;
+}
+
+function validateFile(filePath, schema) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        return { errors: [{ pointer: '$', message: `invalid JSON: ${error.message}` }], warnings: [] };
+    }
+
+    const schemaErrors = validateSchema(schema, data, '$', schema);
+    const { errors, warnings } = checkSlides(data);
+    return { errors: [...schemaErrors, ...errors], warnings };
+}
+
+function printIssues(issues, icon) {
+    issues.forEach(issue => {
+        console.log(`     ${icon} ${issue.pointer} ${issue.message}`);
+    });
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf-8'));
+    const files = fileArgs.length > 0
+        ? fileArgs.map(file => path.resolve(file))
+        : findContentFiles();
+
+    let errorCount = 0;
+    let warningCount = 0;
+
+    console.log('');
+    files.forEach(filePath => {
+        const { errors, warnings } = validateFile(filePath, schema);
+        const label = path.relative(ROOT, filePath);
+
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log(`  ✅ ${label}`);
+            return;
+        }
+
+        console.log(`  ${errors.length > 0 ? '❌' : '⚠️ '} ${label}`);
+        printIssues(errors, '✖');
+        printIssues(warnings, '⚠');
+    });
+
+    const manifestErrors = fileArgs.length > 0 ? [] : checkManifest();
+    if (manifestErrors.length > 0) {
+        console.log('  ❌ data/index.json');
+        printIssues(manifestErrors, '✖');
+        errorCount += manifestErrors.length;
+    }
+
+    console.log('');
+    console.log(`  ${files.length} file(s), ${errorCount} error(s), ${warningCount} warning(s)`);
+    console.log('');
+
+    if (errorCount > 0 || (strict && warningCount > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateSchema, validateFile };
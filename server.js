@@ -1,62 +1,581 @@
 // Simple HTTP Server for Development
 // Run with: node server.js
+// Live-reload dev mode: node server.js --dev (or npm run dev)
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 
 const PORT = 5666;
+const DEV_MODE = process.argv.includes('--dev');
+
+// Live reload (dev mode only)
+const LIVE_RELOAD_PATH = '/__live-reload';
+const WATCHED_DIRECTORIES = ['data', 'js', 'styles'];
+
+// Everything is served from the project root - nothing outside it
+const ROOT = path.resolve(__dirname);
+const INDEX_FILE = path.join(ROOT, 'index.html');
 
 const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
+    // Documents & code
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.xml': 'application/xml',
+    '.pdf': 'application/pdf',
+
+    // Images
     '.png': 'image/png',
-    '.jpg': 'image/jpg',
+    '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
     '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
     '.svg': 'image/svg+xml',
     '.ico': 'image/x-icon',
-    '.woff': 'application/font-woff',
-    '.woff2': 'application/font-woff2',
-    '.ttf': 'application/font-ttf',
+
+    // Fonts
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+
+    // Audio
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.flac': 'audio/flac',
+
+    // Video
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.ogv': 'video/ogg',
+
+    // Text tracks & 3D
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.srt': 'application/x-subrip',
+    '.gltf': 'model/gltf+json',
+    '.glb': 'model/gltf-binary'
+};
+
+// Text assets worth compressing on the fly
+const compressibleTypes = new Set([
+    '.html', '.js', '.mjs', '.css', '.json', '.map', '.svg', '.txt', '.md', '.xml', '.vtt', '.gltf'
+]);
+
+// Cache-Control policy - mirrors the <FilesMatch> blocks deploy.sh writes
+// into the Apache config, so local behaviour matches production
+const LONG_CACHE_PATTERN = /\.(js|css|png|jpg|jpeg|gif|svg|woff|woff2|ttf|ico|mp3)$/i;
+const NO_CACHE_PATTERN = /\.html$/i;
+
+function getCacheControl(filePath) {
+    // Always revalidate in dev so edits show up on the next request
+    if (DEV_MODE) {
+        return 'no-cache';
+    }
+    if (NO_CACHE_PATTERN.test(filePath)) {
+        return 'no-cache, must-revalidate';
+    }
+    if (LONG_CACHE_PATTERN.test(filePath)) {
+        return 'public, max-age=31536000';
+    }
+    return null;
+}
+
+/**
+ * Build a validator from size + mtime (same inputs Apache's default
+ * FileETag uses). Encoded variants get a suffix so a gzip body is never
+ * confused with the identity body by intermediate caches.
+ */
+function createETag(stats, encoding = null) {
+    const base = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+    return encoding ? `"${base}-${encoding}"` : `"${base}"`;
+}
+
+/**
+ * Check If-None-Match / If-Modified-Since against the current file.
+ * If-None-Match wins when both are present (RFC 9110 13.2.2).
+ */
+function isNotModified(req, etag, stats) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        if (ifNoneMatch.trim() === '*') return true;
+        // Weak comparison: ignore W/ prefix and encoding suffix
+        const normalize = tag => tag.trim().replace(/^W\//, '').replace(/-(br|gzip)"$/, '"');
+        const current = normalize(etag);
+        return ifNoneMatch.split(',').some(tag => normalize(tag) === current);
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince) {
+        const since = Date.parse(ifModifiedSince);
+        // HTTP dates have one-second resolution
+        return !isNaN(since) && Math.floor(stats.mtimeMs / 1000) * 1000 <= since;
+    }
+
+    return false;
+}
+
+/**
+ * Pick a content-coding from Accept-Encoding, preferring brotli.
+ * Honours q=0 so clients can explicitly refuse an encoding.
+ */
+function negotiateEncoding(acceptEncoding) {
+    if (!acceptEncoding) return null;
+
+    const accepted = new Map();
+    acceptEncoding.split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.find(p => p.trim().startsWith('q='));
+        const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+        accepted.set(name, isNaN(q) ? 0 : q);
+    });
+
+    const wildcard = accepted.get('*') || 0;
+    const qualityOf = name => accepted.has(name) ? accepted.get(name) : wildcard;
+
+    if (qualityOf('br') > 0) return 'br';
+    if (qualityOf('gzip') > 0) return 'gzip';
+    return null;
+}
+
+function createEncoder(encoding) {
+    if (encoding === 'br') {
+        return zlib.createBrotliCompress({
+            params: {
+                // Quality 11 is far too slow to run per-request
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 5
+            }
+        });
+    }
+    return zlib.createGzip({ level: 6 });
+}
+
+/**
+ * Parse a single "bytes=start-end" Range header against a file size.
+ * Returns { start, end } for a satisfiable range, null when the header
+ * should be ignored (serve the full file), or false when unsatisfiable.
+ * Multi-range requests are answered with the full file, as Apache does
+ * when it chooses not to build a multipart response.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match) return null;
+
+    const [, startStr, endStr] = match;
+    let start;
+    let end;
+
+    if (startStr === '' && endStr === '') {
+        return false;
+    } else if (startStr === '') {
+        // Suffix range: last N bytes
+        const suffixLength = parseInt(endStr, 10);
+        if (suffixLength === 0) return false;
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(startStr, 10);
+        end = endStr === '' ? size - 1 : Math.min(parseInt(endStr, 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+
+    return { start, end };
+}
+
+// Third-party origins referenced by index.html (gtag, unpkg boxicons,
+// cdnjs/jsdelivr for three.js, dat.GUI and GSAP). Keep in sync with the
+// Content-Security-Policy header deploy.sh writes for Apache.
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline' https://www.googletagmanager.com https://cdnjs.cloudflare.com https://cdn.jsdelivr.net https://unpkg.com",
+    "style-src 'self' 'unsafe-inline' https://unpkg.com",
+    "font-src 'self' data: https://unpkg.com",
+    "img-src 'self' data: blob: https://www.googletagmanager.com https://*.google-analytics.com",
+    "media-src 'self' blob:",
+    "connect-src 'self' https://cdn.jsdelivr.net https://www.googletagmanager.com https://*.google-analytics.com https://*.analytics.google.com",
+    "frame-ancestors 'none'",
+    "base-uri 'self'",
+    "object-src 'none'"
+].join('; ');
+
+// Same headers Apache sets in production
+const securityHeaders = {
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'X-XSS-Protection': '1; mode=block',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY
 };
 
+/**
+ * Map a URL pathname onto a file inside ROOT.
+ * Returns null for anything that would escape the project root or that
+ * touches a dotfile/dot-directory (.git, .env, ...).
+ */
+function resolveRequestPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (e) {
+        return null;
+    }
+
+    // Null bytes and backslashes are never valid in our URLs
+    if (decoded.includes('\0') || decoded.includes('\\')) {
+        return null;
+    }
+
+    const resolved = path.resolve(ROOT, '.' + path.posix.normalize(decoded));
+    if (resolved !== ROOT && !resolved.startsWith(ROOT + path.sep)) {
+        return null;
+    }
+
+    const relative = path.relative(ROOT, resolved);
+    if (relative.split(path.sep).some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+
+    return resolved;
+}
+
+/**
+ * Client-side routes have no file extension (/work/koko-ai/overview,
+ * /vibes/forest - see js/core/router.js). Mirrors the SPA rewrite rules
+ * in deploy.sh: those get index.html, missing assets (/images/missing.png)
+ * still 404 properly.
+ */
+function isSpaRoute(pathname) {
+    return path.posix.extname(pathname) === '';
+}
+
+function sendError(res, statusCode, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<h1>${statusCode} - ${message}</h1>`);
+}
+
+function serveFile(req, res, filePath, stats) {
+    const extname = String(path.extname(filePath)).toLowerCase();
+
+    if (DEV_MODE && extname === '.html') {
+        serveDevHtml(req, res, filePath);
+        return;
+    }
+    const contentType = mimeTypes[extname] || 'application/octet-stream';
+    const isHead = req.method === 'HEAD';
+
+    // Only compress full-body responses of text assets; byte ranges always
+    // refer to the identity representation
+    const encoding = compressibleTypes.has(extname) && !req.headers.range
+        ? negotiateEncoding(req.headers['accept-encoding'])
+        : null;
+
+    const etag = createETag(stats, encoding);
+    const headers = {
+        'Content-Type': contentType,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString()
+    };
+
+    const cacheControl = getCacheControl(filePath);
+    if (cacheControl) {
+        headers['Cache-Control'] = cacheControl;
+    }
+    if (compressibleTypes.has(extname)) {
+        headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (isNotModified(req, etag, stats)) {
+        // 304 carries validators and caching headers but no body
+        delete headers['Content-Type'];
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    let range = req.headers.range ? parseRange(req.headers.range, stats.size) : null;
+
+    // If-Range: only honour the range when the client's copy is current
+    const ifRange = req.headers['if-range'];
+    if (range && ifRange) {
+        const matches = ifRange.startsWith('"') || ifRange.startsWith('W/')
+            ? ifRange === createETag(stats)
+            : Date.parse(ifRange) >= Math.floor(stats.mtimeMs / 1000) * 1000;
+        if (!matches) range = null;
+    }
+
+    if (range === false) {
+        // Range Not Satisfiable
+        res.writeHead(416, {
+            'Content-Range': `bytes */${stats.size}`,
+            'Content-Type': 'text/html; charset=utf-8'
+        });
+        res.end();
+        return;
+    }
+
+    let statusCode = 200;
+    let streamOptions = {};
+
+    if (range) {
+        statusCode = 206;
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+        streamOptions = { start: range.start, end: range.end };
+    } else if (encoding) {
+        // Compressed length is unknown up front - response is chunked
+        headers['Content-Encoding'] = encoding;
+    } else {
+        headers['Content-Length'] = stats.size;
+    }
+
+    res.writeHead(statusCode, headers);
+
+    if (isHead) {
+        res.end();
+        return;
+    }
+
+    // Stream from disk so large media never has to sit in memory
+    const stream = fs.createReadStream(filePath, streamOptions);
+    stream.on('error', () => {
+        res.destroy();
+    });
+    // Stop reading if the client goes away mid-transfer (e.g. video seek)
+    res.on('close', () => {
+        stream.destroy();
+    });
+
+    if (encoding) {
+        const encoder = createEncoder(encoding);
+        encoder.on('error', () => {
+            res.destroy();
+        });
+        stream.pipe(encoder).pipe(res);
+    } else {
+        stream.pipe(res);
+    }
+}
+
+// ============================================================================
+// LIVE RELOAD
+// Watches data/, js/ and styles/ and pushes change notifications to the
+// page over Server-Sent Events. The client side lives in
+// js/utils/live-reload.js and is only loaded when the page was served by
+// the dev server.
+// ============================================================================
+const liveReloadClients = new Set();
+
+/**
+ * Serve HTML with the live-reload flag injected before </head>.
+ * Skips validators/compression - the page is tiny and always fresh in dev.
+ */
+function serveDevHtml(req, res, filePath) {
+    fs.readFile(filePath, 'utf-8', (error, html) => {
+        if (error) {
+            sendError(res, 500, 'Server Error');
+            return;
+        }
+
+        const snippet = `<script>window.__LIVE_RELOAD__ = '${LIVE_RELOAD_PATH}';</script>`;
+        const body = html.includes('</head>')
+            ? html.replace('</head>', `    ${snippet}\n</head>`)
+            : snippet + html;
+
+        res.writeHead(200, {
+            'Content-Type': mimeTypes['.html'],
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+}
+
+function handleLiveReloadConnection(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    // Ask EventSource to reconnect quickly after a server restart
+    res.write('retry: 1000\n\n');
+
+    liveReloadClients.add(res);
+    req.on('close', () => {
+        liveReloadClients.delete(res);
+    });
+}
+
+function broadcastChange(change) {
+    const payload = `event: change\ndata: ${JSON.stringify(change)}\n\n`;
+    liveReloadClients.forEach(client => client.write(payload));
+}
+
+/**
+ * Classify a changed file so the client knows how to apply it:
+ * - css:  hot-swap matching stylesheet
+ * - data: re-render content that uses this JSON
+ * - js:   full page reload
+ */
+function getChangeKind(relativePath) {
+    const extname = path.extname(relativePath).toLowerCase();
+    if (extname === '.css') return 'css';
+    if (extname === '.json' && relativePath.startsWith('data/')) return 'data';
+    if (extname === '.js') return 'js';
+    return 'other';
+}
+
+/**
+ * fs.watch with { recursive: true } is not available on every platform
+ * and Node version; fall back to one watcher per directory.
+ */
+function watchDirectory(directory, onChange) {
+    try {
+        fs.watch(directory, { recursive: true }, (eventType, filename) => {
+            if (filename) onChange(path.join(directory, filename.toString()));
+        });
+        return;
+    } catch (e) {
+        // Fall through to manual recursion
+    }
+
+    fs.watch(directory, (eventType, filename) => {
+        if (filename) onChange(path.join(directory, filename.toString()));
+    });
+
+    fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach(entry => watchDirectory(path.join(directory, entry.name), onChange));
+}
+
+function startLiveReload() {
+    // Editors often emit several events per save - coalesce them
+    const pending = new Map();
+
+    const onChange = (absolutePath) => {
+        const relativePath = path.relative(ROOT, absolutePath).split(path.sep).join('/');
+        if (relativePath.split('/').some(segment => segment.startsWith('.'))) return;
+
+        clearTimeout(pending.get(relativePath));
+        pending.set(relativePath, setTimeout(() => {
+            pending.delete(relativePath);
+            const change = {
+                path: '/' + relativePath,
+                kind: getChangeKind(relativePath),
+                time: Date.now()
+            };
+            console.log(`  ↻ ${change.kind}: ${change.path}`);
+            broadcastChange(change);
+        }, 100));
+    };
+
+    WATCHED_DIRECTORIES.forEach(directory => {
+        const absoluteDirectory = path.join(ROOT, directory);
+        if (fs.existsSync(absoluteDirectory)) {
+            watchDirectory(absoluteDirectory, onChange);
+        }
+    });
+
+    // Keep idle connections from being closed by proxies/tunnels
+    setInterval(() => {
+        liveReloadClients.forEach(client => client.write(': ping\n\n'));
+    }, 30000).unref();
+}
+
 const server = http.createServer((req, res) => {
     console.log(`${req.method} ${req.url}`);
-    
+
+    // Security headers go on every response, errors included
+    Object.entries(securityHeaders).forEach(([name, value]) => {
+        res.setHeader(name, value);
+    });
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
     // Parse URL to remove query strings
     const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-    let filePath = '.' + parsedUrl.pathname;
-    
-    // Default to index.html for root or paths with query strings
-    if (filePath === './' || parsedUrl.pathname === '/') {
-        filePath = './index.html';
+
+    if (DEV_MODE && parsedUrl.pathname === LIVE_RELOAD_PATH) {
+        handleLiveReloadConnection(req, res);
+        return;
     }
-    
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const contentType = mimeTypes[extname] || 'application/octet-stream';
-    
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if (error.code === 'ENOENT') {
-                // File not found
-                res.writeHead(404, { 'Content-Type': 'text/html' });
-                res.end('<h1>404 - File Not Found</h1>', 'utf-8');
-            } else {
-                // Server error
-                res.writeHead(500);
-                res.end(`Server Error: ${error.code}`, 'utf-8');
+
+    const filePath = resolveRequestPath(parsedUrl.pathname);
+
+    if (!filePath) {
+        sendError(res, 404, 'File Not Found');
+        return;
+    }
+
+    const serveIndexFallback = () => {
+        fs.stat(INDEX_FILE, (indexError, indexStats) => {
+            if (indexError) {
+                sendError(res, 404, 'File Not Found');
+                return;
             }
+            serveFile(req, res, INDEX_FILE, indexStats);
+        });
+    };
+
+    fs.stat(filePath, (error, stats) => {
+        if (!error && stats.isFile()) {
+            serveFile(req, res, filePath, stats);
+            return;
+        }
+
+        if (!error && stats.isDirectory()) {
+            // DirectoryIndex index.html, otherwise hand over to the SPA
+            const directoryIndex = path.join(filePath, 'index.html');
+            fs.stat(directoryIndex, (indexError, indexStats) => {
+                if (!indexError && indexStats.isFile()) {
+                    serveFile(req, res, directoryIndex, indexStats);
+                } else {
+                    serveIndexFallback();
+                }
+            });
+            return;
+        }
+
+        if (error && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            // Server error
+            res.writeHead(500);
+            res.end(`Server Error: ${error.code}`, 'utf-8');
+            return;
+        }
+
+        if (isSpaRoute(parsedUrl.pathname)) {
+            serveIndexFallback();
         } else {
-            // Success
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content, 'utf-8');
+            // File not found
+            sendError(res, 404, 'File Not Found');
         }
     });
 });
 
+if (DEV_MODE) {
+    startLiveReload();
+}
+
 server.listen(PORT, () => {
     console.log('');
     console.log('╔═══════════════════════════════════════════╗');
@@ -64,8 +583,10 @@ server.listen(PORT, () => {
     console.log('╚═══════════════════════════════════════════╝');
     console.log('');
     console.log(`  🚀 Server running at: http://localhost:${PORT}`);
+    if (DEV_MODE) {
+        console.log(`  ♻️  Live reload watching: ${WATCHED_DIRECTORIES.join('/, ')}/`);
+    }
     console.log('');
     console.log('  Press Ctrl+C to stop the server');
     console.log('');
 });
-